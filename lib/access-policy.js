@@ -0,0 +1,59 @@
+/**
+ * Who may generate tokens, checked after the code exchange
+ * Comma-separated ids in ALLOWED_/DENIED_TEAM_IDS, ALLOWED_/DENIED_ENTERPRISE_IDS
+ * and ALLOWED_/DENIED_USER_IDS. A deny-list always wins; an allow-list, when set,
+ * must contain the id (tokens without a team or enterprise don't match it).
+ */
+
+const SUBJECTS = [
+  { key: 'team', env: 'TEAM_IDS', label: 'workspace' },
+  { key: 'enterprise', env: 'ENTERPRISE_IDS', label: 'Enterprise Grid organization' },
+  { key: 'user', env: 'USER_IDS', label: 'user' }
+];
+
+function parseIds(value) {
+  const ids = (value || '').split(',').map(id => id.trim()).filter(Boolean);
+  return ids.length > 0 ? new Set(ids) : null;
+}
+
+export function loadAccessPolicy(env = process.env) {
+  return Object.fromEntries(SUBJECTS.map(({ key, env: suffix }) => [key, {
+    allow: parseIds(env[`ALLOWED_${suffix}`]),
+    deny: parseIds(env[`DENIED_${suffix}`])
+  }]));
+}
+
+export function isPolicyEmpty(policy) {
+  return Object.values(policy).every(({ allow, deny }) => !allow && !deny);
+}
+
+/**
+ * Check an oauth.v2.access response against the policy.
+ * Returns null when allowed, otherwise { error, message } for the error page.
+ */
+export function checkAccess(policy, tokenData) {
+  const subjects = {
+    team: tokenData.team,
+    enterprise: tokenData.enterprise,
+    user: tokenData.authed_user
+  };
+
+  for (const { key, label } of SUBJECTS) {
+    const { allow, deny } = policy[key] || {};
+    const id = subjects[key]?.id;
+    const name = subjects[key]?.name ? `${subjects[key].name} (${id})` : id;
+
+    if (id && deny?.has(id)) {
+      return { error: `${key}_denied`, message: `Tokens can't be generated for ${label} ${name}.` };
+    }
+    if (allow && !allow.has(id)) {
+      return {
+        error: `${key}_not_allowed`,
+        message: id
+          ? `Tokens can only be generated for approved ${label}s, and ${name} is not one of them.`
+          : `Tokens can only be generated for approved ${label}s.`
+      };
+    }
+  }
+  return null;
+}
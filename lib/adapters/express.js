@@ -0,0 +1,22 @@
+/**
+ * Express adapter: mounts the OAuth core as middleware
+ */
+
+export function createExpressHandler(core) {
+  return async (req, res, next) => {
+    try {
+      const response = await core.handle({
+        method: req.method,
+        path: req.path,
+        query: new URLSearchParams(req.originalUrl.split('?')[1] || ''),
+        body: req.body || {},
+        headers: req.headers,
+        ip: req.ip
+      });
+
+      res.status(response.status).set(response.headers).send(response.body);
+    } catch (error) {
+      next(error);
+    }
+  };
+}
@@ -0,0 +1,72 @@
+/**
+ * Plain node:http adapter, for running the generator without Express
+ */
+import http from 'http';
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+async function readBody(req) {
+  const chunks = [];
+  let size = 0;
+
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw Object.assign(new Error('Request body too large'), { status: 413 });
+    }
+    chunks.push(chunk);
+  }
+
+  const raw = Buffer.concat(chunks).toString('utf8');
+  if (!raw) return {};
+
+  const contentType = req.headers['content-type'] || '';
+  if (contentType.includes('application/json')) {
+    try {
+      return JSON.parse(raw);
+    } catch {
+      throw Object.assign(new Error('Invalid JSON body'), { status: 400 });
+    }
+  }
+  if (contentType.includes('application/x-www-form-urlencoded')) {
+    return Object.fromEntries(new URLSearchParams(raw));
+  }
+  return {};
+}
+
+export function createNodeHttpHandler(core) {
+  return async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    let body;
+    try {
+      body = await readBody(req);
+    } catch (error) {
+      res.writeHead(error.status || 400, { 'Content-Type': 'text/plain; charset=utf-8' });
+      return res.end(error.message);
+    }
+
+    const response = await core.handle({
+      method: req.method,
+      path: url.pathname,
+      query: url.searchParams,
+      body,
+      headers: req.headers,
+      ip: req.socket.remoteAddress
+    });
+
+    res.writeHead(response.status, response.headers);
+    res.end(response.body);
+  };
+}
+
+export function createNodeHttpServer(core) {
+  const handler = createNodeHttpHandler(core);
+  return http.createServer((req, res) => {
+    handler(req, res).catch((error) => {
+      core.logger.error('node:http handler error', { method: req.method, url: req.url, error });
+      if (!res.headersSent) res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end('Internal server error');
+    });
+  });
+}
@@ -0,0 +1,40 @@
+/**
+ * Vercel serverless adapter
+ * vercel.json rewrites every path to /api, so both "/auth/start" and
+ * "/api/auth/start" reach the same handler and the /api prefix is stripped here.
+ * Security and CORS headers (CORS_ALLOWED_ORIGINS) come from the core, as for Express.
+ */
+
+export function createVercelHandler(core) {
+  return async function handler(req, res) {
+    const url = new URL(req.url, `https://${req.headers.host}`);
+    const path = url.pathname.replace(/^\/api(?=\/|$)/, '') || '/';
+
+    const response = await core.handle({
+      method: req.method,
+      path,
+      query: url.searchParams,
+      body: req.body || {},
+      headers: req.headers,
+      ip: req.headers['x-forwarded-for']?.split(',')[0].trim() || req.socket?.remoteAddress
+    });
+
+    for (const [name, value] of Object.entries(response.headers)) {
+      res.setHeader(name, value);
+    }
+    return res.status(response.status).send(response.body);
+  };
+}
+
+/**
+ * For a deployment whose configuration failed validation: no core is built, every
+ * request gets a generic 500 and the problems go to the function logs.
+ */
+export function createMisconfiguredHandler(problems, logger) {
+  return async function handler(req, res) {
+    logger.error('Invalid configuration', { problems, method: req.method, url: req.url });
+    res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(500).send('Internal server error');
+  };
+}
@@ -0,0 +1,116 @@
+/**
+ * Admin dashboard helpers (/admin, enabled by ADMIN_KEY)
+ * Authentication, filtering and CSV export over the audit log, plus the
+ * encrypted store that keeps issued tokens around so admins can revoke them.
+ */
+import crypto from 'crypto';
+import { TokenVault, parseEncryptionKey } from './vault.js';
+
+export const DEFAULT_REVOCATION_TTL = 90 * 24 * 60 * 60 * 1000;
+
+function safeEqual(a, b) {
+  const expected = crypto.createHash('sha256').update(a).digest();
+  const actual = crypto.createHash('sha256').update(b).digest();
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Accept the admin key as a Bearer token or as the password of HTTP Basic auth.
+ */
+export function isAdminAuthorized(headers, adminKey) {
+  if (!adminKey) return false;
+
+  const [scheme, credentials] = (headers.authorization || '').split(' ');
+  if (!credentials) return false;
+
+  if (/^bearer$/i.test(scheme)) {
+    return safeEqual(credentials, adminKey);
+  }
+  if (/^basic$/i.test(scheme)) {
+    const decoded = Buffer.from(credentials, 'base64').toString('utf8');
+    return safeEqual(decoded.slice(decoded.indexOf(':') + 1), adminKey);
+  }
+  return false;
+}
+
+// Browsers resend Basic credentials automatically, so forms carry a token derived from the key
+export function createCsrfToken(adminKey) {
+  return crypto.createHmac('sha256', adminKey).update('admin-csrf').digest('base64url');
+}
+
+export function isValidCsrfToken(token, adminKey) {
+  return typeof token === 'string' && safeEqual(token, createCsrfToken(adminKey));
+}
+
+export const ADMIN_FILTERS = ['user', 'team', 'scope', 'status', 'from', 'to'];
+
+export function readFilters(query) {
+  return Object.fromEntries(ADMIN_FILTERS.map(name => [name, (query.get(name) || '').trim().slice(0, 100)]));
+}
+
+function includesText(values, needle) {
+  const lower = needle.toLowerCase();
+  return values.some(value => typeof value === 'string' && value.toLowerCase().includes(lower));
+}
+
+/**
+ * Filter issuance entries from AuditLog.listIssued().
+ * user/team match ids or names (team also matches the enterprise), scope an
+ * exact scope, status active|revoked, from/to are inclusive YYYY-MM-DD dates (UTC).
+ */
+export function filterEntries(entries, filters) {
+  return entries.filter((entry) => {
+    if (filters.user && !includesText([entry.slack_user_id, entry.user_id, entry.user_name], filters.user)) return false;
+    if (filters.team && !includesText([entry.team_id, entry.team_name, entry.enterprise_id, entry.enterprise_name], filters.team)) return false;
+    if (filters.scope && !(entry.scopes || []).includes(filters.scope)) return false;
+    if (filters.status === 'active' && entry.revoked_at) return false;
+    if (filters.status === 'revoked' && !entry.revoked_at) return false;
+    if (filters.from && entry.timestamp.slice(0, 10) < filters.from) return false;
+    if (filters.to && entry.timestamp.slice(0, 10) > filters.to) return false;
+    return true;
+  });
+}
+
+const CSV_COLUMNS = [
+  'id', 'timestamp', 'slack_user_id', 'user_id', 'user_name', 'team_id', 'team_name',
+  'enterprise_id', 'enterprise_name', 'is_enterprise_install', 'profile', 'scopes', 'ip', 'revoked_at'
+];
+
+function csvField(value) {
+  let text = Array.isArray(value) ? value.join(' ') : String(value ?? '');
+  // Keep spreadsheet apps from evaluating user-supplied values as formulas
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(entries) {
+  const rows = entries.map(entry => CSV_COLUMNS.map(column => csvField(entry[column])).join(','));
+  return `${[CSV_COLUMNS.join(','), ...rows].join('\r\n')}\r\n`;
+}
+
+/**
+ * Encrypted store of issued tokens (with their refresh tokens when rotating),
+ * keyed by audit event id, so they can be revoked later. Keeping tokens is
+ * opt-in (ADMIN_REVOCATION=true) and needs ADMIN_KEY, AUDIT_LOG_FILE and
+ * ENCRYPTION_KEY; records are deleted once used or after REVOCATION_TTL_DAYS.
+ * Set REVOCATION_FILE to keep them on disk.
+ */
+export function createRevocationStore(env = process.env) {
+  if (env.ADMIN_REVOCATION !== 'true') return null;
+
+  const missing = ['ADMIN_KEY', 'AUDIT_LOG_FILE', 'ENCRYPTION_KEY'].filter(name => !env[name]);
+  if (missing.length > 0) {
+    throw new Error(`ADMIN_REVOCATION=true requires ${missing.join(', ')}`);
+  }
+
+  const ttl = env.REVOCATION_TTL_DAYS ? Number(env.REVOCATION_TTL_DAYS) * 24 * 60 * 60 * 1000 : DEFAULT_REVOCATION_TTL;
+  if (!(ttl > 0)) {
+    throw new Error(`REVOCATION_TTL_DAYS must be a positive number, got "${env.REVOCATION_TTL_DAYS}"`);
+  }
+
+  return new TokenVault({
+    key: parseEncryptionKey(env.ENCRYPTION_KEY),
+    ttl,
+    file: env.REVOCATION_FILE || null
+  });
+}
@@ -0,0 +1,57 @@
+/**
+ * Append-only audit log of issued and revoked tokens (AUDIT_LOG_FILE)
+ * One JSON event per line. Token values are never written here.
+ */
+import crypto from 'crypto';
+import fs from 'fs/promises';
+
+export class AuditLog {
+  constructor({ file }) {
+    this.file = file;
+  }
+
+  async append(event) {
+    const entry = { id: crypto.randomUUID(), timestamp: new Date().toISOString(), ...event };
+    await fs.appendFile(this.file, `${JSON.stringify(entry)}\n`, { mode: 0o600 });
+    return entry;
+  }
+
+  async readAll() {
+    let contents;
+    try {
+      contents = await fs.readFile(this.file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    // Skip a partially written last line rather than failing the whole dashboard
+    return contents.split('\n').filter(Boolean).flatMap((line) => {
+      try {
+        return [JSON.parse(line)];
+      } catch {
+        return [];
+      }
+    });
+  }
+
+  /**
+   * Issued tokens, newest first, with their revocation status folded in.
+   */
+  async listIssued() {
+    const events = await this.readAll();
+    const revocations = new Map(
+      events.filter(event => event.type === 'token_revoked').map(event => [event.target, event])
+    );
+
+    return events
+      .filter(event => event.type === 'token_issued')
+      .map(event => ({ ...event, revoked_at: revocations.get(event.id)?.timestamp || null }))
+      .reverse();
+  }
+}
+
+// Returns null when no AUDIT_LOG_FILE is configured
+export function createAuditLog(env = process.env) {
+  return env.AUDIT_LOG_FILE ? new AuditLog({ file: env.AUDIT_LOG_FILE }) : null;
+}
@@ -0,0 +1,117 @@
+/**
+ * Boot-time configuration checks
+ * Each setting is parsed by the module that owns it (scope profiles, state store,
+ * vault, rate limits...). validateConfig runs all of them against the environment
+ * and collects every problem, so a misconfigured deployment stops at boot with the
+ * complete list instead of one setting at a time, or an error page on first use.
+ *
+ * loadServerConfig covers the settings only the standalone server reads:
+ *   PORT           port to listen on (default 3000)
+ *   HTTP_ADAPTER   express (default) or node
+ *   TRUST_PROXY    Express "trust proxy": a hop count, or a value like "loopback"
+ */
+import { parseLogLevel } from './logger.js';
+import { loadScopeProfiles } from './scope-profiles.js';
+import { loadSlackApps } from './slack-apps.js';
+import { isPkceEnabled } from './pkce.js';
+import { getSlackApiBase } from './slack-api.js';
+import { createStateStore } from './state-store.js';
+import { createTokenVault } from './vault.js';
+import { createRevocationStore } from './admin.js';
+import { createRateLimiter } from './rate-limit.js';
+import { parseCorsOrigins } from './security-headers.js';
+import { checkConfig, loadSlackProbe } from './health.js';
+import { createDeliverySinks, loadDeliveryTimeout } from './delivery.js';
+
+export const HTTP_ADAPTERS = ['express', 'node'];
+
+export const DEFAULT_PORT = 3000;
+
+// Throws with every problem found, also listed in error.problems
+export function loadServerConfig(env = process.env) {
+  const problems = [];
+
+  const port = env.PORT ? Number(env.PORT) : DEFAULT_PORT;
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    problems.push(`PORT must be a port number, got "${env.PORT}"`);
+  }
+
+  const adapter = env.HTTP_ADAPTER || 'express';
+  if (!HTTP_ADAPTERS.includes(adapter)) {
+    problems.push(`HTTP_ADAPTER must be one of ${HTTP_ADAPTERS.join(', ')}, got "${env.HTTP_ADAPTER}"`);
+  }
+
+  if (problems.length > 0) {
+    throw Object.assign(new Error(problems.join('; ')), { problems });
+  }
+
+  // Behind a reverse proxy this makes req.ip the client's address instead of the proxy's
+  const hops = Number(env.TRUST_PROXY);
+  const trustProxy = env.TRUST_PROXY ? (Number.isInteger(hops) ? hops : env.TRUST_PROXY) : null;
+
+  return { port, adapter, trustProxy };
+}
+
+function checkSlackApiBase(env) {
+  let protocol = null;
+  try {
+    ({ protocol } = new URL(getSlackApiBase(env)));
+  } catch {
+    // reported below
+  }
+  if (protocol !== 'https:' && protocol !== 'http:') {
+    throw new Error(`SLACK_API_BASE must be an http(s) URL, got "${env.SLACK_API_BASE}"`);
+  }
+}
+
+/**
+ * Every problem with the configuration in `env`, or [] when it is usable.
+ * With `server` the standalone server's settings are checked too, and the
+ * redirect URI defaults to localhost like the server does.
+ */
+export function validateConfig(env = process.env, { server = false } = {}) {
+  const problems = [];
+  const attempt = (load) => {
+    try {
+      return load();
+    } catch (error) {
+      problems.push(...(error.problems || [error.message]));
+      return null;
+    }
+  };
+
+  const serverConfig = server ? attempt(() => loadServerConfig(env)) : null;
+  attempt(() => parseLogLevel(env.LOG_LEVEL));
+  attempt(() => checkSlackApiBase(env));
+
+  const usePkce = isPkceEnabled(env);
+  const scopeProfiles = attempt(() => loadScopeProfiles(env));
+  const apps = scopeProfiles && attempt(() => loadSlackApps(env, { scopeProfiles, usePkce }));
+
+  attempt(() => createStateStore(env));
+  attempt(() => createTokenVault(env));
+  attempt(() => createRevocationStore(env));
+  attempt(() => createRateLimiter(env));
+  attempt(() => parseCorsOrigins(env));
+  attempt(() => loadSlackProbe(env));
+  attempt(() => createDeliverySinks(env));
+  attempt(() => loadDeliveryTimeout(env));
+
+  const redirectUri = env.SLACK_REDIRECT_URI ||
+    (server ? `http://localhost:${serverConfig?.port ?? DEFAULT_PORT}/auth/callback` : undefined);
+  const credentials = checkConfig({
+    clientId: env.SLACK_CLIENT_ID,
+    clientSecret: env.SLACK_CLIENT_SECRET,
+    usePkce,
+    redirectUri,
+    apps: apps || {}
+  });
+  problems.push(...(credentials.problems || []));
+
+  return problems;
+}
+
+// For terminals: one problem per line
+export function formatProblems(problems) {
+  return ['Invalid configuration:', ...problems.map(problem => `  - ${problem}`)].join('\n');
+}
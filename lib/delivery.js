@@ -0,0 +1,271 @@
+/**
+ * Delivery integrations: where an issued token goes besides the success page
+ * A sink is any object with a `name` and `async deliver(payload, { log, signal })` that
+ * resolves with a short description of where the token went, or throws. `payload`
+ * is what /auth/callback answers in response_mode=json, tokens included. Sinks run
+ * after a successful exchange; a failing sink is reported, it never fails the flow.
+ * The callback waits for them at most DELIVERY_TIMEOUT_MS: a sink still running then
+ * is reported as failed, and `signal` aborts so it can stop.
+ *
+ *   DELIVERY_TIMEOUT_MS           time limit for all sinks together (default 5000)
+ *   DELIVERY_WEBHOOK_URL          POST each issued token to this URL (signed, see WebhookSink)
+ *   DELIVERY_WEBHOOK_SECRET       HMAC-SHA256 key for the signature (required with the URL)
+ *   DELIVERY_WEBHOOK_RETRIES      retries after the first attempt, with backoff (default 3)
+ *   DELIVERY_WEBHOOK_TIMEOUT_MS   time limit per attempt (default 5000)
+ *   DELIVERY_SECRETS_FILE         write the tokens into this file
+ *   DELIVERY_SECRETS_FORMAT       dotenv (default) or json
+ *   DELIVERY_SINK_MODULE          path to a module whose default export creates a custom
+ *                                 sink from the environment, e.g. for a secret manager
+ */
+import crypto from 'crypto';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { setTimeout as sleep } from 'timers/promises';
+import { JsonFile, TextFile } from './json-file.js';
+
+export const DEFAULT_DELIVERY_TIMEOUT = 5000;
+export const DEFAULT_WEBHOOK_RETRIES = 3;
+export const DEFAULT_WEBHOOK_TIMEOUT = 5000;
+
+// First retry delay; doubled for each further attempt
+const WEBHOOK_BACKOFF = 500;
+
+export const SECRETS_FORMATS = ['dotenv', 'json'];
+
+// Worth another attempt: the service may just be busy or restarting
+function isRetryableStatus(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * POSTs { event: 'token_issued', token } as JSON, signed the way Slack signs its
+ * own requests: X-Token-Generator-Signature is "v0=" + hex HMAC-SHA256 of
+ * "v0:{X-Token-Generator-Request-Timestamp}:{body}".
+ */
+export class WebhookSink {
+  constructor({ url, secret, retries = DEFAULT_WEBHOOK_RETRIES, timeout = DEFAULT_WEBHOOK_TIMEOUT, backoff = WEBHOOK_BACKOFF }) {
+    this.name = 'webhook';
+    this.url = url;
+    this.secret = secret;
+    this.retries = retries;
+    this.timeout = timeout;
+    this.backoff = backoff;
+    // Results and errors leave out the query string, it may hold a key
+    const { origin, pathname } = new URL(url);
+    this.target = `${origin}${pathname}`;
+  }
+
+  sign(timestamp, body) {
+    return `v0=${crypto.createHmac('sha256', this.secret).update(`v0:${timestamp}:${body}`).digest('hex')}`;
+  }
+
+  async deliver(payload, { signal } = {}) {
+    const body = JSON.stringify({ event: 'token_issued', token: payload });
+
+    for (let attempt = 1; ; attempt++) {
+      const { status, error } = await this.post(body, signal);
+      if (status >= 200 && status < 300) {
+        return `Sent to ${this.target} (HTTP ${status}${attempt > 1 ? `, attempt ${attempt}` : ''})`;
+      }
+
+      const failure = error || `${this.target} answered HTTP ${status}`;
+      if (status && !isRetryableStatus(status)) {
+        throw new Error(failure);
+      }
+      if (attempt > this.retries) {
+        throw new Error(`${failure} (gave up after ${attempt} attempts)`);
+      }
+      await sleep(this.backoff * 2 ** (attempt - 1), undefined, { signal });
+    }
+  }
+
+  // One attempt: { status } when the service answered, { error } when it didn't
+  async post(body, signal) {
+    const attemptSignal = AbortSignal.timeout(this.timeout);
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    try {
+      const response = await fetch(this.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Token-Generator-Request-Timestamp': timestamp,
+          'X-Token-Generator-Signature': this.sign(timestamp, body)
+        },
+        body,
+        signal: signal ? AbortSignal.any([signal, attemptSignal]) : attemptSignal
+      });
+      await response.body?.cancel();
+      return { status: response.status };
+    } catch (error) {
+      return {
+        error: error.name === 'TimeoutError'
+          ? `${this.target} did not answer within ${this.timeout}ms`
+          : `Could not reach ${this.target}: ${error.message}`
+      };
+    }
+  }
+}
+
+// Replace the variable if the file already defines it, otherwise append it
+export function setEnvVar(contents, name, value) {
+  const line = `${name}=${value}`;
+  const pattern = new RegExp(`^${name}=.*$`, 'm');
+  if (pattern.test(contents)) return contents.replace(pattern, line);
+  return `${contents}${contents && !contents.endsWith('\n') ? '\n' : ''}${line}\n`;
+}
+
+/**
+ * Sets the user and bot tokens (plus NAME_REFRESH for rotating tokens) in a dotenv
+ * or JSON file, keeping whatever else the file holds. The file is only readable by its owner.
+ */
+export class SecretsFileSink {
+  constructor({ file, format = 'dotenv', userVar = 'SLACK_USER_TOKEN', botVar = 'SLACK_BOT_TOKEN' }) {
+    this.name = 'secrets_file';
+    this.file = file;
+    this.format = format;
+    this.userVar = userVar;
+    this.botVar = botVar;
+    this.store = format === 'json' ? new JsonFile(file) : new TextFile(file);
+  }
+
+  variables(payload) {
+    const variables = {};
+    for (const [name, token] of [[this.userVar, payload], [this.botVar, payload.bot]]) {
+      if (!token?.access_token) continue;
+      variables[name] = token.access_token;
+      if (token.refresh_token) variables[`${name}_REFRESH`] = token.refresh_token;
+    }
+    return variables;
+  }
+
+  async deliver(payload) {
+    const variables = this.variables(payload);
+
+    if (this.format === 'json') {
+      await this.store.update((data) => {
+        Object.assign(data, variables);
+        return { value: null, changed: true };
+      });
+    } else {
+      await this.store.update(contents => Object.entries(variables)
+        .reduce((updated, [name, value]) => setEnvVar(updated, name, value), contents));
+    }
+    return `${Object.keys(variables).join(', ')} written to ${this.file}`;
+  }
+}
+
+/**
+ * A sink from DELIVERY_SINK_MODULE. The module is imported on first use and its
+ * default export called once with the environment; the sink it returns (or
+ * resolves to) names the results from then on.
+ */
+export class ModuleSink {
+  constructor({ file, env }) {
+    this.name = path.basename(file, path.extname(file));
+    this.file = file;
+    this.env = env;
+    this.sink = null;
+  }
+
+  async deliver(payload, context) {
+    if (!this.sink) {
+      this.sink = import(pathToFileURL(path.resolve(this.file)).href).then(async (module) => {
+        const sink = typeof module.default === 'function' ? await module.default(this.env) : null;
+        if (typeof sink?.deliver !== 'function') {
+          throw new Error(`DELIVERY_SINK_MODULE ${this.file} must export a function returning { name, deliver(payload) }`);
+        }
+        return sink;
+      });
+      // A module that failed to load is retried on the next delivery
+      this.sink.catch(() => {
+        this.sink = null;
+      });
+    }
+
+    const sink = await this.sink;
+    this.name = sink.name || this.name;
+    return sink.deliver(payload, context);
+  }
+}
+
+// Settles like `promise`, or fails once `signal` aborts, for sinks that don't stop by themselves
+function untilAborted(promise, signal, message) {
+  return new Promise((resolve, reject) => {
+    const abort = () => reject(new Error(message));
+    if (signal.aborted) return abort();
+    signal.addEventListener('abort', abort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', abort));
+  });
+}
+
+/**
+ * Run every sink on the payload, in parallel, for at most `timeout` ms. Resolves
+ * with one result per sink: { sink, ok: true, detail } or { sink, ok: false, error }.
+ */
+export function deliverToken(sinks, payload, { timeout = DEFAULT_DELIVERY_TIMEOUT, ...context } = {}) {
+  const signal = AbortSignal.timeout(timeout);
+  return Promise.all(sinks.map(async (sink) => {
+    try {
+      const detail = await untilAborted(
+        Promise.resolve().then(() => sink.deliver(payload, { ...context, signal })),
+        signal,
+        `Gave up after ${timeout}ms`
+      );
+      return { sink: sink.name, ok: true, detail: String(detail || 'Delivered') };
+    } catch (error) {
+      return { sink: sink.name, ok: false, error: error.message };
+    }
+  }));
+}
+
+function parseNumber(env, name, fallback, { min }) {
+  if (!env[name]) return fallback;
+  const value = Number(env[name]);
+  if (!Number.isInteger(value) || value < min) {
+    throw new Error(`${name} must be an integer of at least ${min}, got "${env[name]}"`);
+  }
+  return value;
+}
+
+export function loadDeliveryTimeout(env = process.env) {
+  return parseNumber(env, 'DELIVERY_TIMEOUT_MS', DEFAULT_DELIVERY_TIMEOUT, { min: 1 });
+}
+
+export function createDeliverySinks(env = process.env) {
+  const sinks = [];
+
+  if (env.DELIVERY_WEBHOOK_URL) {
+    let protocol = null;
+    try {
+      ({ protocol } = new URL(env.DELIVERY_WEBHOOK_URL));
+    } catch {
+      // reported below
+    }
+    if (protocol !== 'https:' && protocol !== 'http:') {
+      throw new Error('DELIVERY_WEBHOOK_URL must be an http(s) URL');
+    }
+    if (!env.DELIVERY_WEBHOOK_SECRET) {
+      throw new Error('DELIVERY_WEBHOOK_URL requires DELIVERY_WEBHOOK_SECRET to sign the requests');
+    }
+    sinks.push(new WebhookSink({
+      url: env.DELIVERY_WEBHOOK_URL,
+      secret: env.DELIVERY_WEBHOOK_SECRET,
+      retries: parseNumber(env, 'DELIVERY_WEBHOOK_RETRIES', DEFAULT_WEBHOOK_RETRIES, { min: 0 }),
+      timeout: parseNumber(env, 'DELIVERY_WEBHOOK_TIMEOUT_MS', DEFAULT_WEBHOOK_TIMEOUT, { min: 1 })
+    }));
+  }
+
+  if (env.DELIVERY_SECRETS_FILE) {
+    const format = env.DELIVERY_SECRETS_FORMAT || 'dotenv';
+    if (!SECRETS_FORMATS.includes(format)) {
+      throw new Error(`DELIVERY_SECRETS_FORMAT must be one of ${SECRETS_FORMATS.join(', ')}, got "${format}"`);
+    }
+    sinks.push(new SecretsFileSink({ file: env.DELIVERY_SECRETS_FILE, format }));
+  }
+
+  if (env.DELIVERY_SINK_MODULE) {
+    sinks.push(new ModuleSink({ file: env.DELIVERY_SINK_MODULE, env }));
+  }
+
+  return sinks;
+}
@@ -0,0 +1,102 @@
+/**
+ * Readiness checks for GET /health/ready
+ * Each check resolves with { status: 'ok' | 'fail' | 'skipped', ...details }; the
+ * endpoint answers 503 as soon as one of them fails. GET /health stays a plain
+ * liveness probe and runs none of this.
+ */
+
+export const DEFAULT_SLACK_PROBE_TIMEOUT = 2000;
+
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+/**
+ * Problems with the redirect URI Slack sends users back to, or [] when it is usable.
+ * https is required except for local development on a loopback host. `setting`
+ * names where the value came from in the messages.
+ */
+export function checkRedirectUri(redirectUri, setting = 'SLACK_REDIRECT_URI') {
+  if (!redirectUri) return [`${setting} is not set`];
+
+  let url;
+  try {
+    url = new URL(redirectUri);
+  } catch {
+    return [`${setting} is not a valid URL`];
+  }
+
+  const problems = [];
+  if (url.protocol !== 'https:' && !(url.protocol === 'http:' && LOOPBACK_HOSTS.includes(url.hostname))) {
+    problems.push(`${setting} must use https (http is only allowed for localhost)`);
+  }
+  if (!url.pathname.endsWith('/auth/callback')) {
+    problems.push(`${setting} must point at /auth/callback`);
+  }
+  if (url.hash) {
+    problems.push(`${setting} must not contain a fragment`);
+  }
+  return problems;
+}
+
+// The default app (SLACK_CLIENT_ID...) is optional once SLACK_APPS configures others
+export function checkConfig({ clientId, clientSecret, usePkce, redirectUri, apps = {} }) {
+  if (Object.keys(apps).length > 0 && !clientId && !clientSecret) return { status: 'ok' };
+
+  const problems = [
+    ...(clientId ? [] : ['SLACK_CLIENT_ID is not set']),
+    ...(clientSecret || usePkce ? [] : ['SLACK_CLIENT_SECRET is not set (or enable SLACK_USE_PKCE)']),
+    ...checkRedirectUri(redirectUri)
+  ];
+  return problems.length ? { status: 'fail', problems } : { status: 'ok' };
+}
+
+// size() touches the backend (the file store reads its file), so a failure means it is unreachable
+export async function checkStateStore(stateStore) {
+  try {
+    const pending = await stateStore.size();
+    return { status: 'ok', backend: stateStore.constructor.name, pending };
+  } catch (error) {
+    return { status: 'fail', backend: stateStore.constructor.name, error: error.message };
+  }
+}
+
+/**
+ * Call api.test, which needs no token, and fail if Slack doesn't answer ok in time.
+ */
+export async function probeSlack({ apiBase, timeout = DEFAULT_SLACK_PROBE_TIMEOUT }) {
+  const startedAt = performance.now();
+  const latency = () => Math.round(performance.now() - startedAt);
+
+  try {
+    const response = await fetch(`${apiBase}/api/api.test`, {
+      method: 'POST',
+      signal: AbortSignal.timeout(timeout)
+    });
+    if (!response.ok) {
+      return { status: 'fail', latency_ms: latency(), error: `HTTP error! status: ${response.status}` };
+    }
+
+    const data = await response.json();
+    return data.ok
+      ? { status: 'ok', latency_ms: latency() }
+      : { status: 'fail', latency_ms: latency(), error: data.error || 'not_ok' };
+  } catch (error) {
+    const timedOut = error.name === 'TimeoutError';
+    return { status: 'fail', latency_ms: latency(), error: timedOut ? `No response within ${timeout}ms` : error.message };
+  }
+}
+
+/**
+ * HEALTH_SLACK_PROBE=true adds the Slack check to /health/ready;
+ * HEALTH_SLACK_PROBE_TIMEOUT_MS bounds it (default 2000). Returns null when disabled.
+ */
+export function loadSlackProbe(env = process.env) {
+  if (env.HEALTH_SLACK_PROBE !== 'true') return null;
+
+  const timeout = env.HEALTH_SLACK_PROBE_TIMEOUT_MS
+    ? Number(env.HEALTH_SLACK_PROBE_TIMEOUT_MS)
+    : DEFAULT_SLACK_PROBE_TIMEOUT;
+  if (!(timeout > 0)) {
+    throw new Error(`HEALTH_SLACK_PROBE_TIMEOUT_MS must be a positive number, got "${env.HEALTH_SLACK_PROBE_TIMEOUT_MS}"`);
+  }
+  return { timeout };
+}
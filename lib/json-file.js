@@ -0,0 +1,72 @@
+/**
+ * Files persisted to disk with serialized read-modify-write updates:
+ * TextFile for plain text (e.g. dotenv files), JsonFile for a JSON object
+ */
+import fs from 'fs/promises';
+
+// Write to a temp file and rename, so readers never see a half-written file
+export async function writeFileAtomic(file, contents) {
+  const tempFile = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(tempFile, contents, { mode: 0o600 });
+  await fs.rename(tempFile, file);
+}
+
+export class TextFile {
+  constructor(file) {
+    this.file = file;
+    // Serialize read-modify-write cycles so concurrent requests don't lose updates
+    this.queue = Promise.resolve();
+  }
+
+  // The contents, or '' before the file exists
+  async read() {
+    try {
+      return await fs.readFile(this.file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return '';
+      throw error;
+    }
+  }
+
+  async write(contents) {
+    await writeFileAtomic(this.file, contents);
+  }
+
+  // Run task() once every earlier update has finished
+  serialize(task) {
+    const result = this.queue.then(task);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Replace the contents with fn(contents) under the update lock.
+   */
+  update(fn) {
+    return this.serialize(async () => this.write(await fn(await this.read())));
+  }
+}
+
+export class JsonFile extends TextFile {
+  async read() {
+    const contents = await super.read();
+    return contents ? JSON.parse(contents) : {};
+  }
+
+  async write(data) {
+    await super.write(JSON.stringify(data));
+  }
+
+  /**
+   * Run fn(data) under the update lock. fn returns { value, changed };
+   * the file is only rewritten when changed is true.
+   */
+  update(fn) {
+    return this.serialize(async () => {
+      const data = await this.read();
+      const { value, changed } = await fn(data);
+      if (changed) await this.write(data);
+      return value;
+    });
+  }
+}
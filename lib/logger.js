@@ -0,0 +1,114 @@
+/**
+ * Structured JSON logger
+ * One JSON object per line: { time, level, msg, ...fields }. debug/info go to
+ * stdout, warn/error to stderr. LOG_LEVEL=debug|info|warn|error|silent (default info).
+ *
+ * Everything is redacted before it is written: Slack tokens (xox*-) anywhere in
+ * a string, OAuth codes/states/secrets in URLs, and any field whose name looks
+ * like a token, secret, code, cookie or authorization header.
+ */
+
+export const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+const REDACTED = '[REDACTED]';
+
+const SENSITIVE_KEY = /token|secret|password|cookie|authorization|verifier|^code$|_code$|^state$|^key$|_key$/i;
+const SLACK_TOKEN = /\b(?:xoxe\.)?xox[a-z]-[A-Za-z0-9-]+/g;
+const SENSITIVE_PARAM = /([?&](?:code|state|client_secret|code_verifier|token|refresh_token|access_token|nonce|loopback_nonce)=)[^&\s"']+/gi;
+
+export function redactString(value) {
+  return value.replace(SLACK_TOKEN, REDACTED).replace(SENSITIVE_PARAM, `$1${REDACTED}`);
+}
+
+/**
+ * Deep copy of a value with sensitive data replaced. Errors become { name, message, stack }.
+ */
+export function redact(value, depth = 0) {
+  if (typeof value === 'string') return redactString(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (depth > 8) return '[Truncated]';
+
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: redactString(value.message),
+      ...(value.code && { code: value.code }),
+      ...(value.slackError && { slackError: value.slackError }),
+      stack: value.stack && redactString(value.stack)
+    };
+  }
+  if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+  if (value instanceof URLSearchParams) return redact(Object.fromEntries(value), depth + 1);
+
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    SENSITIVE_KEY.test(key) && item !== null && item !== undefined && typeof item !== 'boolean' ? REDACTED : redact(item, depth + 1)
+  ]));
+}
+
+export function parseLogLevel(value) {
+  const level = (value || 'info').toLowerCase();
+  if (!Object.hasOwn(LOG_LEVELS, level)) {
+    throw new Error(`LOG_LEVEL must be one of ${Object.keys(LOG_LEVELS).join(', ')}, got "${value}"`);
+  }
+  return level;
+}
+
+export class Logger {
+  constructor({ level = 'info', fields = {}, out = process.stdout, err = process.stderr } = {}) {
+    this.level = parseLogLevel(level);
+    this.fields = fields;
+    this.out = out;
+    this.err = err;
+  }
+
+  // A logger that adds the given fields (e.g. a request id) to every entry
+  child(fields) {
+    return new Logger({ level: this.level, fields: { ...this.fields, ...fields }, out: this.out, err: this.err });
+  }
+
+  isEnabled(level) {
+    return LOG_LEVELS[level] >= LOG_LEVELS[this.level];
+  }
+
+  write(level, msg, fields = {}) {
+    if (!this.isEnabled(level)) return;
+
+    const entry = redact({ time: new Date().toISOString(), level, msg, ...this.fields, ...fields });
+    const stream = LOG_LEVELS[level] >= LOG_LEVELS.warn ? this.err : this.out;
+    stream.write(`${JSON.stringify(entry)}\n`);
+  }
+
+  debug(msg, fields) {
+    this.write('debug', msg, fields);
+  }
+
+  info(msg, fields) {
+    this.write('info', msg, fields);
+  }
+
+  warn(msg, fields) {
+    this.write('warn', msg, fields);
+  }
+
+  error(msg, fields) {
+    this.write('error', msg, fields);
+  }
+}
+
+export function createLogger(env = process.env, options = {}) {
+  return new Logger({ level: env.LOG_LEVEL, ...options });
+}
+
+// Shared by modules that have no logger handed to them (pages, process-level handlers).
+// It is created on import, so a bad LOG_LEVEL falls back to info here and is
+// reported by validateConfig instead of failing the import.
+function sharedLogLevel(value) {
+  try {
+    return parseLogLevel(value);
+  } catch {
+    return 'info';
+  }
+}
+
+export const logger = new Logger({ level: sharedLogLevel(process.env.LOG_LEVEL) });
@@ -0,0 +1,92 @@
+/**
+ * Loopback delivery for the CLI (response_mode=loopback)
+ * A one-shot listener on 127.0.0.1 receives the callback result that the
+ * browser posts back, then shuts itself down.
+ */
+import http from 'http';
+import crypto from 'crypto';
+import { spawn } from 'child_process';
+import { readForm } from './read-form.js';
+
+const DONE_PAGE = `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>Done</title></head>
+<body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; text-align: center; margin-top: 60px;">
+    <h1>✅ All done</h1>
+    <p>The result was delivered to your terminal. You can close this tab.</p>
+</body>
+</html>`;
+
+export function createLoopbackNonce() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+/**
+ * Start the one-shot listener. Resolves once it is listening with
+ * { port, result, close }, where result resolves with the delivered payload.
+ */
+export function startLoopbackListener({ nonce, port = 0, timeout = 5 * 60 * 1000 }) {
+  let settle;
+  const result = new Promise((resolve, reject) => {
+    settle = { resolve, reject };
+  });
+
+  const server = http.createServer(async (req, res) => {
+    if (req.method !== 'POST' || req.url !== '/callback') {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      return res.end('Not found');
+    }
+
+    try {
+      const form = await readForm(req);
+      if (form.get('nonce') !== nonce) {
+        res.writeHead(400, { 'Content-Type': 'text/plain' });
+        return res.end('Unexpected delivery');
+      }
+
+      const payload = JSON.parse(form.get('payload') || '{}');
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(DONE_PAGE);
+      settle.resolve(payload);
+    } catch (error) {
+      res.writeHead(400, { 'Content-Type': 'text/plain' });
+      res.end('Invalid delivery');
+      settle.reject(error);
+    }
+  });
+
+  const timer = setTimeout(() => {
+    settle.reject(new Error(`Timed out after ${Math.round(timeout / 1000)}s waiting for the browser`));
+  }, timeout);
+
+  const close = () => {
+    clearTimeout(timer);
+    server.close();
+    server.closeAllConnections?.();
+  };
+  result.then(close, close);
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => {
+      resolve({ port: server.address().port, result, close });
+    });
+  });
+}
+
+// Best effort; the URL is always printed as well in case no browser can be opened
+export function openBrowser(url) {
+  const [command, args] = process.platform === 'darwin'
+    ? ['open', [url]]
+    : process.platform === 'win32'
+      ? ['cmd', ['/c', 'start', '', url]]
+      : ['xdg-open', [url]];
+
+  try {
+    const child = spawn(command, args, { stdio: 'ignore', detached: true });
+    child.on('error', () => {});
+    child.unref();
+  } catch {
+    // Ignore: the user can open the printed URL manually
+  }
+}
@@ -0,0 +1,213 @@
+/**
+ * Prometheus metrics
+ * A small dependency-free registry (counters, histograms, callback gauges) that
+ * renders the text exposition format served at GET /metrics.
+ */
+
+// Label values that come from outside (Slack error strings, the callback's error
+// parameter) are folded into "other" past this many series so memory stays bounded
+const MAX_SERIES = 100;
+
+export const EXCHANGE_DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  return String(value);
+}
+
+class Metric {
+  constructor(type, { name, help, labelNames = [] }) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  // The series for a label set, created on first use
+  seriesFor(labels, create) {
+    let values = this.labelNames.map(name => String(labels[name] ?? ''));
+    let key = JSON.stringify(values);
+
+    if (!this.series.has(key) && this.series.size >= MAX_SERIES) {
+      values = this.labelNames.map(() => 'other');
+      key = JSON.stringify(values);
+    }
+    if (!this.series.has(key)) {
+      const labelSet = Object.fromEntries(this.labelNames.map((name, i) => [name, values[i]]));
+      this.series.set(key, { labels: labelSet, ...create() });
+    }
+    return this.series.get(key);
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+export class Counter extends Metric {
+  constructor(options) {
+    super('counter', options);
+  }
+
+  inc(labels = {}, value = 1) {
+    this.seriesFor(labels, () => ({ value: 0 })).value += value;
+  }
+
+  get(labels = {}) {
+    return this.series.get(JSON.stringify(this.labelNames.map(name => String(labels[name] ?? ''))))?.value ?? 0;
+  }
+
+  render() {
+    return [
+      ...this.header(),
+      ...[...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${formatValue(value)}`)
+    ];
+  }
+}
+
+export class Histogram extends Metric {
+  constructor({ buckets = EXCHANGE_DURATION_BUCKETS, ...options }) {
+    super('histogram', options);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(value, labels = {}) {
+    const series = this.seriesFor(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i] += 1;
+    });
+    series.sum += value;
+    series.count += 1;
+  }
+
+  // Starts a timer; call the returned function to record the elapsed seconds
+  startTimer(labels = {}) {
+    const startedAt = performance.now();
+    return () => this.observe((performance.now() - startedAt) / 1000, labels);
+  }
+
+  render() {
+    const lines = this.header();
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+// Read at scrape time; a collector returning null (unknown) leaves the gauge without a sample
+export class Gauge extends Metric {
+  constructor({ collect, ...options }) {
+    super('gauge', options);
+    this.collect = collect;
+  }
+
+  async render() {
+    const value = await this.collect();
+    return [
+      ...this.header(),
+      ...(typeof value === 'number' ? [`${this.name} ${formatValue(value)}`] : [])
+    ];
+  }
+}
+
+export class MetricsRegistry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  counter(options) {
+    return this.register(new Counter(options));
+  }
+
+  histogram(options) {
+    return this.register(new Histogram(options));
+  }
+
+  gauge(options) {
+    return this.register(new Gauge(options));
+  }
+
+  async render() {
+    const sections = [];
+    for (const metric of this.metrics) {
+      sections.push((await metric.render()).join('\n'));
+    }
+    return `${sections.join('\n')}\n`;
+  }
+}
+
+// Error codes are reported as-is only when they look like one (Slack uses snake_case)
+export function toErrorLabel(value) {
+  const label = String(value ?? '');
+  return /^[A-Za-z0-9_.:-]{1,64}$/.test(label) ? label : 'other';
+}
+
+/**
+ * The OAuth flow metrics. pendingStates is read from the state store on every scrape.
+ */
+export function createOAuthMetrics({ pendingStates }) {
+  const registry = new MetricsRegistry();
+
+  return {
+    registry,
+    flowsStarted: registry.counter({
+      name: 'slack_token_flows_started_total',
+      help: 'OAuth flows started with /auth/start, by scope profile and install type',
+      labelNames: ['profile', 'install']
+    }),
+    callbacks: registry.counter({
+      name: 'slack_token_callbacks_total',
+      help: 'Requests to /auth/callback'
+    }),
+    exchangesSucceeded: registry.counter({
+      name: 'slack_token_exchanges_succeeded_total',
+      help: 'Callbacks that exchanged their code and issued a token'
+    }),
+    failures: registry.counter({
+      name: 'slack_token_failures_total',
+      help: 'Failed callbacks by reason (invalid_state, oauth_error, http_error, slack_error, ...) and error code',
+      labelNames: ['reason', 'error']
+    }),
+    rateLimited: registry.counter({
+      name: 'slack_token_rate_limited_total',
+      help: 'Requests answered with 429, by rate limit group',
+      labelNames: ['group']
+    }),
+    deliveries: registry.counter({
+      name: 'slack_token_deliveries_total',
+      help: 'Issued tokens handed to a delivery sink, by sink and outcome (ok or failed)',
+      labelNames: ['sink', 'outcome']
+    }),
+    exchangeDuration: registry.histogram({
+      name: 'slack_token_exchange_duration_seconds',
+      help: 'Latency of oauth.v2.access requests to Slack',
+      buckets: EXCHANGE_DURATION_BUCKETS
+    }),
+    pendingStates: registry.gauge({
+      name: 'slack_token_pending_states',
+      help: 'OAuth states waiting for their callback (absent for the signed state store)',
+      collect: pendingStates
+    })
+  };
+}
@@ -0,0 +1,285 @@
+#!/usr/bin/env node
+
+/**
+ * Mock Slack for offline development and tests
+ * Implements just enough of slack.com for the OAuth flow: the authorize page,
+ * oauth.v2.access (code and refresh_token grants), auth.test, auth.revoke and api.test.
+ * Point the generator at it with SLACK_API_BASE=http://localhost:3001.
+ *
+ *   npm run mock-slack    # MOCK_SLACK_PORT (default 3001), MOCK_SLACK_SCENARIO (default success)
+ *
+ * Scenarios: success, invalid_code, bad_redirect_uri, server_error (HTTP 500),
+ * rotation (expiring tokens with refresh tokens), grid (org-wide Enterprise Grid
+ * install) and access_denied. Switch at runtime with POST /mock/scenario?scenario=...
+ * POST /mock/expire expires every rotating access token issued so far.
+ */
+import http from 'http';
+import crypto from 'crypto';
+import { pathToFileURL } from 'url';
+import { readForm } from './read-form.js';
+
+export const MOCK_SCENARIOS = ['success', 'invalid_code', 'bad_redirect_uri', 'server_error', 'rotation', 'grid', 'access_denied'];
+
+export const MOCK_TEAM = { id: 'T0MOCK', name: 'Mock Workspace' };
+export const MOCK_ENTERPRISE = { id: 'E0MOCK', name: 'Mock Enterprise' };
+export const MOCK_USER = { id: 'U0MOCK', name: 'mock.user' };
+export const MOCK_BOT_USER_ID = 'U0MOCKBOT';
+
+const ROTATION_EXPIRES_IN = 12 * 60 * 60;
+
+function randomId() {
+  return crypto.randomBytes(12).toString('hex');
+}
+
+function sendJson(res, status, data, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+  res.end(JSON.stringify(data));
+}
+
+function sendText(res, status, text) {
+  res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8' });
+  res.end(text);
+}
+
+function redirectTo(res, location) {
+  res.writeHead(302, { Location: location });
+  res.end();
+}
+
+export class MockSlack {
+  /**
+   * clientId/clientSecret are optional; when set, requests must present them.
+   */
+  constructor({ scenario = 'success', clientId = null, clientSecret = null } = {}) {
+    this.setScenario(scenario);
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+
+    this.codes = new Map();
+    this.tokens = new Map();
+    this.refreshTokens = new Map();
+  }
+
+  setScenario(scenario) {
+    if (!MOCK_SCENARIOS.includes(scenario)) {
+      throw new Error(`Unknown mock scenario "${scenario}" (expected ${MOCK_SCENARIOS.join(', ')})`);
+    }
+    this.scenario = scenario;
+  }
+
+  async handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+
+    try {
+      const form = req.method === 'POST' ? await readForm(req) : new URLSearchParams();
+      const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '') || form.get('token');
+
+      switch (`${req.method} ${url.pathname}`) {
+        case 'GET /oauth/v2/authorize':
+          return this.authorize(url.searchParams, res);
+        case 'POST /api/oauth.v2.access':
+          return this.oauthAccess(form, res);
+        case 'POST /api/api.test':
+          return sendJson(res, 200, { ok: true });
+        case 'POST /api/auth.test':
+          return this.authTest(token, res);
+        case 'POST /api/auth.revoke':
+          return this.authRevoke(token, res);
+        case 'POST /mock/expire':
+          this.expireTokens();
+          return sendJson(res, 200, { ok: true });
+        case 'POST /mock/scenario':
+          this.setScenario(url.searchParams.get('scenario') || form.get('scenario'));
+          return sendJson(res, 200, { ok: true, scenario: this.scenario });
+        default:
+          return sendJson(res, 404, { ok: false, error: 'unknown_method' });
+      }
+    } catch (error) {
+      return sendJson(res, 400, { ok: false, error: 'invalid_request', message: error.message });
+    }
+  }
+
+  // Approves straight away instead of showing Slack's consent screen
+  authorize(params, res) {
+    const redirectUri = params.get('redirect_uri');
+    if (this.clientId && params.get('client_id') !== this.clientId) {
+      return sendText(res, 400, 'invalid_client_id');
+    }
+    if (!redirectUri || (!params.get('scope') && !params.get('user_scope'))) {
+      return sendText(res, 400, 'missing redirect_uri or scopes');
+    }
+
+    const location = new URL(redirectUri);
+    if (params.has('state')) location.searchParams.set('state', params.get('state'));
+
+    if (this.scenario === 'access_denied') {
+      location.searchParams.set('error', 'access_denied');
+      return redirectTo(res, location.href);
+    }
+
+    const code = `mock-code-${randomId()}`;
+    this.codes.set(code, {
+      clientId: params.get('client_id'),
+      redirectUri,
+      scope: params.get('scope') || '',
+      userScope: params.get('user_scope') || '',
+      codeChallenge: params.get('code_challenge')
+    });
+    location.searchParams.set('code', code);
+    return redirectTo(res, location.href);
+  }
+
+  oauthAccess(form, res) {
+    if (this.scenario === 'server_error') {
+      return sendText(res, 500, 'Internal Server Error');
+    }
+    if (this.clientId && form.get('client_id') !== this.clientId) {
+      return sendJson(res, 200, { ok: false, error: 'invalid_client_id' });
+    }
+    // PKCE public clients authenticate with the code verifier instead of the secret
+    if (this.clientSecret && !form.get('code_verifier') && form.get('client_secret') !== this.clientSecret) {
+      return sendJson(res, 200, { ok: false, error: 'bad_client_secret' });
+    }
+
+    if (form.get('grant_type') === 'refresh_token') {
+      return this.refresh(form.get('refresh_token'), res);
+    }
+
+    const grant = this.codes.get(form.get('code'));
+    this.codes.delete(form.get('code'));
+    if (!grant || this.scenario === 'invalid_code') {
+      return sendJson(res, 200, { ok: false, error: 'invalid_code' });
+    }
+    if (grant.redirectUri !== form.get('redirect_uri') || this.scenario === 'bad_redirect_uri') {
+      return sendJson(res, 200, { ok: false, error: 'bad_redirect_uri' });
+    }
+    if (grant.codeChallenge) {
+      const challenge = crypto.createHash('sha256').update(form.get('code_verifier') || '').digest('base64url');
+      if (challenge !== grant.codeChallenge) {
+        return sendJson(res, 200, { ok: false, error: 'invalid_code_verifier' });
+      }
+    }
+
+    const rotation = this.scenario === 'rotation';
+    const grid = this.scenario === 'grid';
+    const response = {
+      ok: true,
+      app_id: 'A0MOCK',
+      authed_user: { id: MOCK_USER.id },
+      team: grid ? null : MOCK_TEAM,
+      enterprise: grid ? MOCK_ENTERPRISE : null,
+      is_enterprise_install: grid
+    };
+
+    if (grant.userScope) {
+      Object.assign(response.authed_user, { token_type: 'user', ...this.mint('xoxp', grant.userScope, { rotation, grid }) });
+    }
+    if (grant.scope) {
+      Object.assign(response, { token_type: 'bot', bot_user_id: MOCK_BOT_USER_ID, ...this.mint('xoxb', grant.scope, { rotation, grid }) });
+    }
+    return sendJson(res, 200, response);
+  }
+
+  // Issue an access token (plus a refresh token when rotating) and remember it
+  mint(kind, scope, { rotation, grid }) {
+    const accessToken = `${rotation ? 'xoxe.' : ''}${kind}-1-${randomId()}`;
+    if (!rotation) {
+      this.tokens.set(accessToken, { kind, scope, grid });
+      return { access_token: accessToken, scope };
+    }
+
+    const refreshToken = `xoxe-1-${randomId()}`;
+    this.tokens.set(accessToken, { kind, scope, grid, refreshToken, expired: false });
+    this.refreshTokens.set(refreshToken, { kind, scope, grid });
+    return { access_token: accessToken, scope, refresh_token: refreshToken, expires_in: ROTATION_EXPIRES_IN };
+  }
+
+  // Refresh tokens are single use, like Slack's
+  refresh(refreshToken, res) {
+    const grant = this.refreshTokens.get(refreshToken);
+    if (!grant) {
+      return sendJson(res, 200, { ok: false, error: 'invalid_refresh_token' });
+    }
+    this.refreshTokens.delete(refreshToken);
+
+    return sendJson(res, 200, {
+      ok: true,
+      app_id: 'A0MOCK',
+      token_type: grant.kind === 'xoxb' ? 'bot' : 'user',
+      ...(grant.kind === 'xoxp' && { user_id: MOCK_USER.id }),
+      ...this.mint(grant.kind, grant.scope, { rotation: true, grid: grant.grid }),
+      team: grant.grid ? null : MOCK_TEAM,
+      enterprise: grant.grid ? MOCK_ENTERPRISE : null
+    });
+  }
+
+  // Like the 12 hours passing for every rotating token; their refresh tokens keep working
+  expireTokens() {
+    for (const grant of this.tokens.values()) {
+      if (grant.refreshToken) grant.expired = true;
+    }
+  }
+
+  authTest(token, res) {
+    const grant = this.tokens.get(token);
+    if (!grant) {
+      return sendJson(res, 200, { ok: false, error: 'invalid_auth' });
+    }
+    if (grant.expired) {
+      return sendJson(res, 200, { ok: false, error: 'token_expired' });
+    }
+
+    const workspace = grant.grid ? MOCK_ENTERPRISE : MOCK_TEAM;
+    return sendJson(res, 200, {
+      ok: true,
+      url: 'https://mock.slack.com/',
+      team: workspace.name,
+      team_id: workspace.id,
+      user: grant.kind === 'xoxb' ? 'mockbot' : MOCK_USER.name,
+      user_id: grant.kind === 'xoxb' ? MOCK_BOT_USER_ID : MOCK_USER.id,
+      ...(grant.kind === 'xoxb' && { bot_id: 'B0MOCK' }),
+      ...(grant.grid && { enterprise_id: MOCK_ENTERPRISE.id, is_enterprise_install: true })
+    }, { 'x-oauth-scopes': grant.scope });
+  }
+
+  // Revoking a rotating token ends the grant, so its refresh token stops working too
+  authRevoke(token, res) {
+    const grant = this.tokens.get(token);
+    if (!grant) {
+      return sendJson(res, 200, { ok: false, error: 'invalid_auth' });
+    }
+    if (grant.expired) {
+      return sendJson(res, 200, { ok: false, error: 'token_expired' });
+    }
+    this.tokens.delete(token);
+    if (grant.refreshToken) this.refreshTokens.delete(grant.refreshToken);
+    return sendJson(res, 200, { ok: true, revoked: true });
+  }
+
+  /**
+   * Listen on 127.0.0.1. Resolves with the http.Server once it is accepting requests.
+   */
+  listen(port = 0, host = '127.0.0.1') {
+    const server = http.createServer((req, res) => this.handle(req, res));
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, host, () => resolve(server));
+    });
+  }
+}
+
+const isMainModule = process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href;
+
+if (isMainModule) {
+  const port = Number(process.env.MOCK_SLACK_PORT || 3001);
+  const mock = new MockSlack({ scenario: process.env.MOCK_SLACK_SCENARIO || 'success' });
+
+  mock.listen(port).then(() => {
+    console.log(`🧪 Mock Slack listening on http://localhost:${port} (scenario: ${mock.scenario})`);
+    console.log(`   Run the generator with SLACK_API_BASE=http://localhost:${port}`);
+    console.log(`   Switch scenarios: curl -X POST "http://localhost:${port}/mock/scenario?scenario=rotation"`);
+  }).catch((error) => {
+    console.error('❌ Mock Slack failed to start:', error.message);
+    process.exit(1);
+  });
+}
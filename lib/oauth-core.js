@@ -0,0 +1,1089 @@
+/**
+ * Framework-agnostic OAuth core
+ * Handles start, callback, token exchange and pages for every deployment.
+ * Adapters (lib/adapters) translate Express, Vercel and node:http requests into
+ * { method, path, query, body, headers, ip } and send back { status, headers, body }.
+ */
+import crypto from 'crypto';
+import { loadScopeProfiles, resolveScopeProfile } from './scope-profiles.js';
+import {
+  refreshAccessToken,
+  describeRefreshedToken,
+  describeIssuedToken,
+  buildOAuthParams,
+  getWorkspaceDetails,
+  getBotTokenDetails,
+  getRotationDetails
+} from './slack-oauth.js';
+import { createStateStore } from './state-store.js';
+import { isPkceEnabled, createCodeVerifier, createCodeChallenge } from './pkce.js';
+import { isSlackToken, inspectToken, revokeToken, getSlackApiBase } from './slack-api.js';
+import { createTokenVault } from './vault.js';
+import { createAuditLog } from './audit-log.js';
+import { loadAccessPolicy, checkAccess } from './access-policy.js';
+import {
+  isAdminAuthorized,
+  createCsrfToken,
+  isValidCsrfToken,
+  readFilters,
+  filterEntries,
+  toCsv,
+  createRevocationStore
+} from './admin.js';
+import {
+  getHomePage,
+  getSuccessPageWithToken,
+  getErrorPage,
+  getInspectPage,
+  getLoopbackPage,
+  getVaultDepositPage,
+  getVaultClaimPage,
+  getAdminPage
+} from './pages.js';
+import { createLogger } from './logger.js';
+import { createOAuthMetrics, toErrorLabel } from './metrics.js';
+import { checkConfig, checkStateStore, probeSlack, loadSlackProbe } from './health.js';
+import { createRateLimiter } from './rate-limit.js';
+import { createStateCookie } from './state-cookie.js';
+import { loadSlackApps } from './slack-apps.js';
+import { createDeliverySinks, deliverToken, loadDeliveryTimeout } from './delivery.js';
+import {
+  SECURITY_HEADERS,
+  HSTS,
+  createCspNonce,
+  contentSecurityPolicy,
+  parseCorsOrigins,
+  corsHeaders
+} from './security-headers.js';
+
+// How /auth/callback delivers its result: success page, JSON body, or a POST to a local CLI
+const RESPONSE_MODES = ['html', 'json', 'loopback'];
+
+// Opaque value chosen by the CLI and echoed back so it can match the delivery to its request
+const LOOPBACK_NONCE_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+
+// Per-app paths and the route that serves them, e.g. /auth/start/acme -> /auth/start
+const APP_PATHS = [
+  [/^\/apps\/([^/]+)$/, '/'],
+  [/^\/auth\/start\/([^/]+)$/, '/auth/start']
+];
+
+// Accepted from a proxy's X-Request-Id, otherwise generated per request
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+// Pages are SafeHtml from lib/templates.js; adapters only ever see strings
+export function page(status, body) {
+  return { status, headers: { 'Content-Type': 'text/html; charset=utf-8' }, body: String(body) };
+}
+
+export function json(status, data) {
+  return { status, headers: { 'Content-Type': 'application/json; charset=utf-8' }, body: JSON.stringify(data) };
+}
+
+export function redirect(location, status = 302) {
+  return { status, headers: { Location: location }, body: '' };
+}
+
+// Failure reason and error code for the metrics, from an error thrown during the exchange
+function classifyExchangeError(error) {
+  if (error.slackError) return { reason: 'slack_error', error: error.slackError };
+  if (error.status) return { reason: 'http_error', error: String(error.status) };
+  if (error.reason) return { reason: error.reason, error: '' };
+  return { reason: 'exchange_error', error: error.name };
+}
+
+export class OAuthCore {
+  constructor(options = {}) {
+    const env = options.env || process.env;
+
+    // Slack app credentials
+    this.clientId = options.clientId ?? env.SLACK_CLIENT_ID;
+    this.clientSecret = options.clientSecret ?? env.SLACK_CLIENT_SECRET;
+    this.redirectUri = options.redirectUri ?? env.SLACK_REDIRECT_URI;
+
+    // https://slack.com, or a local mock for offline development (SLACK_API_BASE)
+    this.apiBase = options.apiBase ?? getSlackApiBase(env);
+
+    // PKCE lets the generator run as a public client (client secret optional)
+    this.usePkce = options.usePkce ?? isPkceEnabled(env);
+
+    // Optional workspace pin for the authorize URL, so users land on the right team
+    this.teamId = options.teamId ?? env.SLACK_TEAM_ID;
+
+    // Enterprise Grid org id; enables org-wide installs (/auth/start?install=org)
+    this.enterpriseId = options.enterpriseId ?? env.SLACK_ENTERPRISE_ID;
+
+    // Allow- and deny-lists of teams, enterprises and users, checked after the exchange
+    this.accessPolicy = options.accessPolicy || loadAccessPolicy(env);
+
+    // Named scope profiles users can choose from (validated against the allow-list)
+    this.scopeProfiles = options.scopeProfiles || loadScopeProfiles(env);
+
+    // Further Slack apps by key (SLACK_APPS), each with its own credentials and branding
+    this.apps = options.apps || loadSlackApps(env, { scopeProfiles: this.scopeProfiles, usePkce: this.usePkce });
+
+    // HSTS is only sent when the generator is served over https
+    this.https = [this.redirectUri, ...Object.values(this.apps).map(app => app.redirectUri)]
+      .some(uri => uri?.startsWith('https:'));
+
+    // State management for OAuth (memory, file or signed backend)
+    this.stateStore = options.stateStore || createStateStore(env);
+
+    // Opt-in encrypted vault; null means tokens are only ever shown directly
+    this.vault = options.vault !== undefined ? options.vault : createTokenVault(env);
+
+    // Append-only record of issued tokens (no token values), shown at /admin
+    this.auditLog = options.auditLog !== undefined ? options.auditLog : createAuditLog(env);
+    this.adminKey = options.adminKey ?? env.ADMIN_KEY;
+
+    // Issued tokens are only kept (encrypted) with ADMIN_REVOCATION=true, and when an admin can revoke them
+    this.revocationStore = options.revocationStore !== undefined
+      ? options.revocationStore
+      : (this.adminKey && this.auditLog ? createRevocationStore(env) : null);
+
+    // Per-IP token buckets for the OAuth and token routes (null disables them)
+    this.rateLimiter = options.rateLimiter !== undefined ? options.rateLimiter : createRateLimiter(env);
+
+    // Signs the session cookie that ties each state to the browser that started the flow
+    this.stateCookie = options.stateCookie || createStateCookie(env);
+
+    // Origins whose pages may call the API cross-origin (CORS_ALLOWED_ORIGINS)
+    this.corsOrigins = options.corsOrigins || parseCorsOrigins(env);
+
+    // Optional Slack reachability check for /health/ready ({ timeout } or null)
+    this.slackProbe = options.slackProbe !== undefined ? options.slackProbe : loadSlackProbe(env);
+
+    // Reported by /health so it's clear which adapter is serving
+    this.environment = options.environment || 'node';
+
+    // Where issued tokens are sent besides the success page (webhook, secrets file, custom sinks)
+    this.deliverySinks = options.deliverySinks || createDeliverySinks(env);
+    // The callback response waits for the sinks at most this long (DELIVERY_TIMEOUT_MS)
+    this.deliveryTimeout = options.deliveryTimeout ?? loadDeliveryTimeout(env);
+
+    // Optional listeners for callback outcomes (used by the slack-token CLI)
+    this.onTokenIssued = options.onTokenIssued || null;
+    this.onCallbackError = options.onCallbackError || null;
+
+    // JSON lines, redacted; LOG_LEVEL picks the verbosity
+    this.logger = options.logger || createLogger(env);
+
+    // Served at /metrics; the pending-state gauge is read from the store on each scrape
+    this.metrics = options.metrics || createOAuthMetrics({ pendingStates: () => this.stateStore.size() });
+
+    this.routes = {
+      'GET /': req => this.handleHomePage(req),
+      'GET /auth/start': req => this.handleAuthStart(req),
+      'GET /auth/callback': req => this.handleAuthCallback(req),
+      'POST /auth/refresh': req => this.handleAuthRefresh(req),
+      'GET /token/inspect': req => this.handleInspectPage(req),
+      'POST /token/inspect': req => this.handleTokenInspect(req),
+      'POST /token/revoke': req => this.handleTokenRevoke(req),
+      'GET /vault/claim': req => this.handleVaultClaimPage(req),
+      'POST /vault/claim': req => this.handleVaultClaim(req),
+      'GET /admin': req => this.handleAdminDashboard(req),
+      'GET /admin/export.csv': req => this.handleAdminExport(req),
+      'POST /admin/revoke': req => this.handleAdminRevoke(req),
+      'GET /health': req => this.handleHealth(req),
+      'GET /health/ready': req => this.handleReadiness(req),
+      'GET /info': req => this.handleInfo(req),
+      'GET /metrics': req => this.handleMetrics(req)
+    };
+  }
+
+  /**
+   * Dispatch a normalized request to its route and return the response to send.
+   */
+  async handle(req) {
+    const path = req.path.length > 1 ? req.path.replace(/\/+$/, '') : req.path;
+    const { routePath, appKey } = this.matchAppPath(path);
+    req.appKey = appKey;
+    // HEAD is answered by the GET route, without the body (liveness probes use it)
+    const routeKey = `${req.method === 'HEAD' ? 'GET' : req.method} ${routePath}`;
+    const route = this.routes[routeKey];
+
+    const forwardedId = req.headers?.['x-request-id'];
+    const requestId = REQUEST_ID_PATTERN.test(forwardedId || '') ? forwardedId : crypto.randomUUID();
+    req.log = this.logger.child({ requestId });
+    req.cspNonce = createCspNonce();
+    const startedAt = performance.now();
+
+    let response;
+    try {
+      const limit = route && this.rateLimiter ? this.rateLimiter.check(routeKey, req.ip) : null;
+      if (req.method === 'OPTIONS' && this.isKnownPath(routePath)) {
+        // CORS preflight; the allow-list headers are added below
+        response = { status: 204, headers: {}, body: '' };
+      } else if (limit && !limit.allowed) {
+        response = this.rejectRateLimited(req, path, limit);
+      } else {
+        response = route
+          ? await route(req)
+          : json(404, { error: 'Not found', path });
+      }
+    } catch (error) {
+      req.log.error('Unhandled error in route', { method: req.method, path, error });
+      response = page(500, getErrorPage('An unexpected error occurred. Please try again.'));
+    }
+
+    req.log.info('Request completed', {
+      method: req.method,
+      path,
+      status: response.status,
+      durationMs: Math.round(performance.now() - startedAt),
+      ip: req.ip || null
+    });
+
+    response.headers = {
+      ...this.securityHeaders(req),
+      ...response.headers,
+      ...corsHeaders(this.corsOrigins, req.headers?.origin),
+      'X-Request-Id': requestId
+    };
+    if (req.method === 'HEAD') response.body = '';
+    return response;
+  }
+
+  matchAppPath(path) {
+    for (const [pattern, routePath] of APP_PATHS) {
+      const match = pattern.exec(path);
+      if (match) return { routePath, appKey: match[1] };
+    }
+    return { routePath: path, appKey: null };
+  }
+
+  // Credentials and branding for a flow: a SLACK_APPS app, or the default app for null
+  resolveApp(key) {
+    if (!key) {
+      return {
+        key: null,
+        name: null,
+        clientId: this.clientId,
+        clientSecret: this.clientSecret,
+        redirectUri: this.redirectUri,
+        profile: null,
+        color: null
+      };
+    }
+    return Object.hasOwn(this.apps, key) ? this.apps[key] : null;
+  }
+
+  isKnownPath(path) {
+    return Object.keys(this.routes).some(routeKey => routeKey.endsWith(` ${path}`));
+  }
+
+  // Forms may also end up on Slack's authorize page, since /auth/start redirects there;
+  // a route that needs something else sets its own Content-Security-Policy
+  securityHeaders(req) {
+    return {
+      ...SECURITY_HEADERS,
+      'Content-Security-Policy': contentSecurityPolicy(req.cspNonce, { formActions: [new URL(this.apiBase).origin] }),
+      ...(this.https && { 'Strict-Transport-Security': HSTS })
+    };
+  }
+
+  // 429 in the format the route normally answers with: JSON for the API routes, a page otherwise
+  rejectRateLimited(req, path, { group, retryAfter }) {
+    req.log.warn('Rate limit exceeded', { group, path, ip: req.ip || null, retryAfter });
+    this.metrics.rateLimited.inc({ group });
+
+    const message = `Too many requests, please try again in ${retryAfter} seconds`;
+    const response = path === '/auth/refresh' || path.startsWith('/token/')
+      ? json(429, { ok: false, error: 'rate_limited', retry_after: retryAfter })
+      : page(429, getErrorPage(message));
+    response.headers['Retry-After'] = String(retryAfter);
+    return response;
+  }
+
+  // Input validation helper
+  validateInput(input, maxLength = 100) {
+    if (!input || typeof input !== 'string') return '';
+    return input.trim().slice(0, maxLength).replace(/[<>\"'&]/g, '');
+  }
+
+  handleHomePage(req) {
+    const app = this.resolveApp(req.appKey);
+    if (!app) {
+      return page(404, getErrorPage('Unknown Slack app'));
+    }
+
+    // An app with its own profile only offers that one
+    const scopeProfiles = app.profile
+      ? { profiles: { [app.profile]: this.scopeProfiles.profiles[app.profile] }, defaultProfile: app.profile }
+      : this.scopeProfiles;
+    const profile = resolveScopeProfile(scopeProfiles, this.validateInput(req.query.get('profile')))
+      || resolveScopeProfile(scopeProfiles);
+    return page(200, getHomePage(scopeProfiles, profile.name, {
+      orgInstall: !!this.enterpriseId,
+      app,
+      vault: !!this.vault,
+      revocation: !!this.revocationStore,
+      delivery: this.deliverySinks.length > 0,
+      cspNonce: req.cspNonce
+    }));
+  }
+
+  async handleAuthStart(req) {
+    const app = this.resolveApp(req.appKey);
+    if (!app) {
+      req.log.warn('Unknown Slack app', { app: req.appKey });
+      return page(404, getErrorPage('Unknown Slack app'));
+    }
+
+    if (!app.clientId || !app.redirectUri) {
+      req.log.error('Missing SLACK_CLIENT_ID or SLACK_REDIRECT_URI');
+      return page(500, getErrorPage('Server configuration error: missing Slack credentials'));
+    }
+
+    const profile = resolveScopeProfile(this.scopeProfiles, this.validateInput(req.query.get('profile')) || app.profile);
+    if (!profile) {
+      req.log.warn('Unknown scope profile', { profile: req.query.get('profile') });
+      return page(400, getErrorPage('Unknown scope profile requested'));
+    }
+    if (app.profile && profile.name !== app.profile) {
+      req.log.warn('Scope profile not offered by the app', { app: app.key, profile: profile.name });
+      return page(400, getErrorPage(`${app.name} only issues tokens with the "${app.profile}" profile`));
+    }
+
+    const responseMode = this.parseResponseMode(req.query);
+    if (responseMode.error) {
+      req.log.warn('Invalid response mode', { reason: responseMode.error });
+      return page(400, getErrorPage(responseMode.error));
+    }
+
+    // Org-wide installs point Slack at the enterprise instead of a single workspace
+    const install = req.query.get('install') || 'workspace';
+    if (install !== 'workspace' && install !== 'org') {
+      return page(400, getErrorPage(`Unknown install type: ${install}`));
+    }
+    if (install === 'org' && !this.enterpriseId) {
+      req.log.warn('Org-wide install requested without SLACK_ENTERPRISE_ID');
+      return page(400, getErrorPage('Org-wide installs are not configured on this server'));
+    }
+    const team = install === 'org' ? this.enterpriseId : this.teamId;
+
+    // The PKCE verifier stays with the state; only its challenge goes to Slack
+    const codeVerifier = this.usePkce ? createCodeVerifier() : null;
+
+    // Store state for validation (temporary), bound to this browser's session cookie
+    const session = this.stateCookie.startSession(req.headers || {}, {
+      redirectUri: app.redirectUri,
+      maxAge: this.stateStore.ttl
+    });
+    let state;
+    try {
+      state = await this.stateStore.create({
+        user_id: this.validateInput(req.query.get('user_id')),
+        user_name: this.validateInput(req.query.get('user_name')),
+        profile: profile.name,
+        install,
+        ...(app.key && { app: app.key }),
+        ...responseMode,
+        ...(codeVerifier && { code_verifier: codeVerifier }),
+        session: session.hash
+      });
+    } catch (error) {
+      req.log.error('Failed to store OAuth state', { error });
+      return page(500, getErrorPage('Could not start authorization, please try again'));
+    }
+
+    const userScopes = profile.scopes.join(',');
+    const botScopes = profile.botScopes.join(',');
+
+    // Bot scopes go in scope and user scopes in user_scope; a profile can ask for either or both
+    const authUrl = `${this.apiBase}/oauth/v2/authorize?` +
+      `client_id=${app.clientId}&` +
+      (botScopes ? `scope=${encodeURIComponent(botScopes)}&` : '') +
+      (userScopes ? `user_scope=${encodeURIComponent(userScopes)}&` : '') +
+      `redirect_uri=${encodeURIComponent(app.redirectUri)}&` +
+      `state=${encodeURIComponent(state)}` +
+      (team ? `&team=${encodeURIComponent(team)}` : '') +
+      (codeVerifier ? `&code_challenge=${createCodeChallenge(codeVerifier)}&code_challenge_method=S256` : '');
+
+    this.metrics.flowsStarted.inc({ profile: profile.name, install });
+    req.log.info('OAuth flow started', {
+      app: app.key,
+      profile: profile.name,
+      userScopes: profile.scopes,
+      botScopes: profile.botScopes,
+      install,
+      responseMode: responseMode.response_mode,
+      pkce: !!codeVerifier
+    });
+    const response = redirect(authUrl);
+    response.headers['Set-Cookie'] = session.setCookie;
+    return response;
+  }
+
+  async handleAuthCallback(req) {
+    this.metrics.callbacks.inc();
+
+    const code = req.query.get('code');
+    const state = req.query.get('state');
+    const error = req.query.get('error');
+
+    // Consumed straight away: a state is good for exactly one callback, whatever its outcome.
+    // It is looked up first so errors are reported in the response mode the flow asked for,
+    // but only to the browser that started it.
+    const stateData = state ? await this.stateStore.consume(state) : null;
+    const sameBrowser = !!stateData && this.stateCookie.matches(req.headers || {}, stateData.session);
+
+    if (error) {
+      req.log.warn('OAuth error from Slack', { slackError: error });
+      this.metrics.failures.inc({ reason: 'oauth_error', error: toErrorLabel(error) });
+      return this.renderCallbackError(req, sameBrowser ? stateData : null, 400, error, `OAuth Error: ${error}`);
+    }
+
+    if (!code || !state) {
+      req.log.warn('Missing code or state', { hasCode: !!code, hasState: !!state });
+      this.metrics.failures.inc({ reason: 'missing_code_or_state' });
+      return this.renderCallbackError(req, sameBrowser ? stateData : null, 400, 'missing_code_or_state', 'Missing authorization code or state');
+    }
+
+    if (!stateData) {
+      req.log.warn('Invalid, expired or reused state', { pendingStates: await this.stateStore.size() });
+      this.metrics.failures.inc({ reason: 'invalid_state' });
+      return this.renderCallbackError(req, null, 400, 'invalid_state',
+        'Invalid or expired state parameter. Each authorization link works only once and expires after a few minutes, so reloading the callback page or using an old link fails. Please start again.');
+    }
+
+    if (!sameBrowser) {
+      req.log.warn('State does not belong to this browser', { hasSessionCookie: !!this.stateCookie.readSession(req.headers || {}) });
+      this.metrics.failures.inc({ reason: 'state_mismatch' });
+      return this.renderCallbackError(req, null, 403, 'state_mismatch',
+        'This authorization was started in a different browser, or this browser blocked or cleared the session cookie. For your security a token is only delivered to the browser that started the request. Please start again in this browser.');
+    }
+
+    // The app may have been removed from SLACK_APPS since the flow started
+    const app = this.resolveApp(stateData.app);
+    if (!app) {
+      req.log.warn('State names an unknown Slack app', { app: stateData.app });
+      this.metrics.failures.inc({ reason: 'unknown_app' });
+      return this.renderCallbackError(req, stateData, 400, 'unknown_app', 'This Slack app is no longer configured on this server. Please start again.');
+    }
+
+    let tokenData;
+    try {
+      tokenData = await this.exchangeCodeForToken(code, stateData.code_verifier, req.log, app);
+
+      // Expect a token for each kind of scope the profile asked for
+      const profile = resolveScopeProfile(this.scopeProfiles, stateData.profile);
+      const wantsUserToken = profile ? profile.scopes.length > 0 : !getBotTokenDetails(tokenData);
+      const wantsBotToken = !!profile && profile.botScopes.length > 0;
+
+      if (!tokenData?.authed_user?.id ||
+          (wantsUserToken && !tokenData.authed_user.access_token) ||
+          (wantsBotToken && !getBotTokenDetails(tokenData))) {
+        req.log.error('Invalid token data received', {
+          hasAuthedUser: !!tokenData?.authed_user,
+          hasUserToken: !!tokenData?.authed_user?.access_token,
+          hasBotToken: !!getBotTokenDetails(tokenData),
+          wantsUserToken,
+          wantsBotToken
+        });
+        throw Object.assign(new Error('Invalid token data received from Slack'), { reason: 'invalid_token_data' });
+      }
+    } catch (error) {
+      req.log.error('Token exchange failed', { error });
+      const failure = classifyExchangeError(error);
+      this.metrics.failures.inc({ reason: failure.reason, error: toErrorLabel(failure.error) });
+      return this.renderCallbackError(req, stateData, 500, 'token_exchange_failed', `Token exchange failed: ${error.message}`);
+    }
+    this.metrics.exchangesSucceeded.inc();
+
+    const denied = checkAccess(this.accessPolicy, tokenData);
+    if (denied) {
+      this.metrics.failures.inc({ reason: 'access_denied', error: denied.error });
+      await this.rejectToken(req, tokenData, stateData, denied);
+      return this.renderCallbackError(req, stateData, 403, denied.error, `${denied.message} The token has been revoked. Contact your administrator if you need access.`);
+    }
+
+    const workspace = getWorkspaceDetails(tokenData);
+    req.log.info('Token issued', {
+      slackUserId: tokenData.authed_user.id,
+      userName: stateData.user_name || tokenData.authed_user.name || null,
+      profile: stateData.profile,
+      teamId: workspace.team?.id || null,
+      enterpriseId: workspace.enterprise?.id || null,
+      isEnterpriseInstall: workspace.isEnterpriseInstall,
+      hasBotToken: !!getBotTokenDetails(tokenData)
+    });
+
+    await this.recordIssuance(req, tokenData, stateData);
+    this.notify(this.onTokenIssued, tokenData, stateData);
+    const deliveries = await this.deliver(req, tokenData, stateData);
+
+    // Send token directly to user (NO SERVER STORAGE unless the vault, admin revocation or a delivery sink is configured)
+    const payload = { ...describeIssuedToken(tokenData, stateData), ...(deliveries.length > 0 && { deliveries }) };
+    switch (stateData.response_mode) {
+      case 'json':
+        return json(200, payload);
+      case 'loopback':
+        return this.loopbackPage(req, stateData, payload);
+      default:
+        return this.vault
+          ? this.depositInVault(req, tokenData, stateData, app, deliveries)
+          : page(200, getSuccessPageWithToken(tokenData, stateData, {
+            app,
+            deliveries,
+            revocation: !!this.revocationStore,
+            cspNonce: req.cspNonce
+          }));
+    }
+  }
+
+  // Hand the token to every delivery sink; a failed delivery is reported, the token is still shown
+  async deliver(req, tokenData, stateData) {
+    if (this.deliverySinks.length === 0) return [];
+
+    const results = await deliverToken(this.deliverySinks, describeIssuedToken(tokenData, stateData), {
+      timeout: this.deliveryTimeout,
+      log: req.log
+    });
+    for (const result of results) {
+      this.metrics.deliveries.inc({ sink: result.sink, outcome: result.ok ? 'ok' : 'failed' });
+      if (result.ok) {
+        req.log.info('Token delivered', { sink: result.sink, detail: result.detail });
+      } else {
+        req.log.warn('Token delivery failed', { sink: result.sink, error: result.error });
+      }
+    }
+    return results;
+  }
+
+  async depositInVault(req, tokenData, stateData, app, deliveries) {
+    try {
+      const { code, expiresAt } = await this.vault.deposit({
+        tokenData,
+        stateData: { user_name: stateData.user_name, profile: stateData.profile, app: stateData.app, deliveries }
+      });
+      const claimUrl = new URL('/vault/claim', app.redirectUri);
+      claimUrl.searchParams.set('code', code);
+
+      req.log.info('Token stored in vault', { expiresAt });
+      return page(200, getVaultDepositPage(claimUrl.href, code, expiresAt));
+    } catch (error) {
+      req.log.error('Failed to store token in vault', { error });
+      return page(500, getErrorPage('Token generated, but it could not be stored securely. Please try again.'));
+    }
+  }
+
+  // A token that fails the access policy is revoked straight away; it is never shown
+  async rejectToken(req, tokenData, stateData, denied) {
+    req.log.warn('Token denied by access policy', { slackUserId: tokenData.authed_user.id, reason: denied.error });
+
+    for (const { accessToken } of this.issuedTokens(tokenData)) {
+      try {
+        await revokeToken(accessToken, { apiBase: this.apiBase });
+        req.log.info('Denied token revoked');
+      } catch (error) {
+        req.log.error('Failed to revoke denied token', { error });
+      }
+    }
+
+    if (!this.auditLog) return;
+    try {
+      await this.auditLog.append({
+        type: 'token_denied',
+        reason: denied.error,
+        slack_user_id: tokenData.authed_user.id,
+        team_id: tokenData.team?.id || null,
+        enterprise_id: tokenData.enterprise?.id || null,
+        user_id: stateData.user_id || null,
+        user_name: stateData.user_name || null,
+        ip: req.ip || null
+      });
+    } catch (error) {
+      req.log.error('Failed to write audit log', { error });
+    }
+  }
+
+  // The user and/or bot tokens from a code exchange, each with its refresh token when rotating
+  issuedTokens(tokenData) {
+    const user = tokenData.authed_user?.access_token && {
+      accessToken: tokenData.authed_user.access_token,
+      refreshToken: tokenData.authed_user.refresh_token || null
+    };
+    const bot = getBotTokenDetails(tokenData);
+    return [user, bot && { accessToken: bot.accessToken, refreshToken: bot.refreshToken }].filter(Boolean);
+  }
+
+  // Audit failures are logged but never cost the user their token
+  async recordIssuance(req, tokenData, stateData) {
+    if (!this.auditLog) return;
+
+    const workspace = getWorkspaceDetails(tokenData);
+    const bot = getBotTokenDetails(tokenData);
+    try {
+      const entry = await this.auditLog.append({
+        type: 'token_issued',
+        slack_user_id: tokenData.authed_user.id,
+        team_id: workspace.team?.id || null,
+        team_name: workspace.team?.name || null,
+        enterprise_id: workspace.enterprise?.id || null,
+        enterprise_name: workspace.enterprise?.name || null,
+        is_enterprise_install: workspace.isEnterpriseInstall,
+        scopes: (tokenData.authed_user.scope || '').split(',').filter(Boolean),
+        bot_user_id: bot?.botUserId || null,
+        bot_scopes: bot?.scopes || [],
+        profile: stateData.profile,
+        user_id: stateData.user_id || null,
+        user_name: stateData.user_name || null,
+        ip: req.ip || null
+      });
+
+      if (this.revocationStore) {
+        await this.revocationStore.deposit({ tokens: this.issuedTokens(tokenData), app: stateData.app || null }, { code: entry.id });
+      }
+      req.log.info('Issuance recorded in audit log', { auditId: entry.id });
+    } catch (error) {
+      req.log.error('Failed to write audit log', { error });
+    }
+  }
+
+  // The page posts the result to the CLI's local port, so its form may go there
+  loopbackPage(req, stateData, payload) {
+    const response = page(200, getLoopbackPage(stateData.loopback_port, stateData.loopback_nonce, payload, {
+      cspNonce: req.cspNonce
+    }));
+    response.headers['Content-Security-Policy'] = contentSecurityPolicy(req.cspNonce, {
+      formActions: [`http://127.0.0.1:${stateData.loopback_port}`]
+    });
+    return response;
+  }
+
+  renderCallbackError(req, stateData, status, error, message) {
+    this.notify(this.onCallbackError, { error, message }, stateData);
+
+    switch (stateData?.response_mode) {
+      case 'json':
+        return json(status, { ok: false, error, message });
+      case 'loopback':
+        return this.loopbackPage(req, stateData, { ok: false, error, message });
+      default:
+        return page(status, getErrorPage(message));
+    }
+  }
+
+  // Listener failures are logged but never change the response
+  notify(listener, ...args) {
+    if (!listener) return;
+    Promise.resolve()
+      .then(() => listener(...args))
+      .catch(error => this.logger.error('Callback listener failed', { error }));
+  }
+
+  /**
+   * Read response_mode (or the format=json shorthand) from /auth/start.
+   * Loopback delivery is only ever sent to 127.0.0.1, on the port the CLI listens on.
+   */
+  parseResponseMode(query) {
+    const mode = query.get('response_mode') || (query.get('format') === 'json' ? 'json' : 'html');
+    if (!RESPONSE_MODES.includes(mode)) {
+      return { error: `Unknown response mode: ${mode}` };
+    }
+    if (mode !== 'loopback') {
+      return { response_mode: mode };
+    }
+
+    const port = Number(query.get('loopback_port'));
+    if (!Number.isInteger(port) || port < 1024 || port > 65535) {
+      return { error: 'loopback_port must be a port number between 1024 and 65535' };
+    }
+
+    const nonce = query.get('loopback_nonce') || '';
+    if (!LOOPBACK_NONCE_PATTERN.test(nonce)) {
+      return { error: 'loopback_nonce must be 16-128 URL-safe characters' };
+    }
+
+    return { response_mode: mode, loopback_port: port, loopback_nonce: nonce };
+  }
+
+  // Exchange a refresh token for a new access token (token rotation)
+  async handleAuthRefresh(req) {
+    const refreshToken = typeof req.body?.refresh_token === 'string' ? req.body.refresh_token.trim() : '';
+    if (!refreshToken) {
+      return json(400, { ok: false, error: 'missing_refresh_token' });
+    }
+
+    // Tokens from a SLACK_APPS app are refreshed with its credentials: { "app": "acme" }
+    const app = this.resolveApp(typeof req.body?.app === 'string' ? req.body.app : null);
+    if (!app) {
+      return json(400, { ok: false, error: 'unknown_app' });
+    }
+
+    try {
+      const data = await refreshAccessToken(refreshToken, {
+        clientId: app.clientId,
+        clientSecret: app.clientSecret,
+        apiBase: this.apiBase
+      });
+      req.log.info('Token refreshed', { slackUserId: data.authed_user?.id || data.user_id || null });
+      return json(200, describeRefreshedToken(data));
+    } catch (error) {
+      req.log.warn('Token refresh failed', { error });
+      return json(error.slackError ? 400 : 502, { ok: false, error: error.slackError || error.message });
+    }
+  }
+
+  handleInspectPage(req) {
+    const profile = resolveScopeProfile(this.scopeProfiles, this.validateInput(req.query.get('profile')))
+      || resolveScopeProfile(this.scopeProfiles);
+    return page(200, getInspectPage(this.scopeProfiles, profile.name, { cspNonce: req.cspNonce }));
+  }
+
+  // Check a token with auth.test and compare its scopes with a profile
+  async handleTokenInspect(req) {
+    const token = typeof req.body?.token === 'string' ? req.body.token.trim() : '';
+    if (!token) {
+      return json(400, { ok: false, error: 'missing_token' });
+    }
+    if (!isSlackToken(token)) {
+      return json(400, { ok: false, error: 'invalid_token_format' });
+    }
+
+    const profile = resolveScopeProfile(this.scopeProfiles, this.validateInput(req.body.profile));
+    if (!profile) {
+      return json(400, { ok: false, error: 'unknown_profile' });
+    }
+
+    try {
+      const details = await inspectToken(token, { apiBase: this.apiBase });
+      // auth.test reports a bot_id for bot tokens, which carry the profile's bot scopes
+      const expectedScopes = details.bot_id ? profile.botScopes : profile.scopes;
+      const missingScopes = expectedScopes.filter(scope => !details.scopes.includes(scope));
+      req.log.info('Token inspected', { slackUserId: details.user.id, profile: profile.name });
+      return json(200, { ok: true, ...details, profile: profile.name, missing_scopes: missingScopes });
+    } catch (error) {
+      req.log.warn('Token inspection failed', { error });
+      return json(error.slackError ? 400 : 502, { ok: false, error: error.slackError || error.message });
+    }
+  }
+
+  // Revoke a token with auth.revoke
+  async handleTokenRevoke(req) {
+    const token = typeof req.body?.token === 'string' ? req.body.token.trim() : '';
+    if (!token) {
+      return json(400, { ok: false, error: 'missing_token' });
+    }
+    if (!isSlackToken(token)) {
+      return json(400, { ok: false, error: 'invalid_token_format' });
+    }
+
+    try {
+      const { revoked } = await revokeToken(token, { apiBase: this.apiBase });
+      req.log.info(revoked ? 'Token revoked' : 'auth.revoke returned revoked: false', { revoked });
+      return json(revoked ? 200 : 502, revoked ? { ok: true, revoked } : { ok: false, error: 'not_revoked' });
+    } catch (error) {
+      req.log.warn('Token revocation failed', { error });
+      return json(error.slackError ? 400 : 502, { ok: false, error: error.slackError || error.message });
+    }
+  }
+
+  handleVaultClaimPage(req) {
+    if (!this.vault) {
+      return json(404, { error: 'Not found', path: req.path });
+    }
+    return page(200, getVaultClaimPage(req.query.get('code') || ''));
+  }
+
+  // Single use: the vault deletes the record as it is read
+  async handleVaultClaim(req) {
+    if (!this.vault) {
+      return json(404, { error: 'Not found', path: req.path });
+    }
+
+    const code = typeof req.body?.code === 'string' ? req.body.code.trim() : '';
+    const record = await this.vault.claim(code);
+    if (!record) {
+      req.log.warn('Vault claim failed: unknown, expired or already used code');
+      return page(404, getErrorPage('This claim code is invalid, has expired or has already been used'));
+    }
+
+    req.log.info('Token claimed from vault');
+    return page(200, getSuccessPageWithToken(record.tokenData, record.stateData, {
+      app: this.resolveApp(record.stateData?.app),
+      deliveries: record.stateData?.deliveries,
+      revocation: !!this.revocationStore,
+      cspNonce: req.cspNonce
+    }));
+  }
+
+  // Returns a response when the request may not use /admin, otherwise null
+  checkAdminAccess(req) {
+    if (!this.adminKey) {
+      return json(404, { error: 'Not found', path: req.path });
+    }
+    if (!isAdminAuthorized(req.headers || {}, this.adminKey)) {
+      req.log.warn('Unauthorized admin request', { ip: req.ip || null });
+      const response = page(401, getErrorPage('Admin credentials required'));
+      response.headers['WWW-Authenticate'] = 'Basic realm="Slack Token Admin", charset="UTF-8"';
+      return response;
+    }
+    return null;
+  }
+
+  async listAuditEntries(filters) {
+    const entries = this.auditLog ? await this.auditLog.listIssued() : [];
+    return { entries: filterEntries(entries, filters), total: entries.length };
+  }
+
+  async handleAdminDashboard(req) {
+    const denied = this.checkAdminAccess(req);
+    if (denied) return denied;
+
+    const filters = readFilters(req.query);
+    const { entries, total } = await this.listAuditEntries(filters);
+    const exportQuery = new URLSearchParams(Object.entries(filters).filter(([, value]) => value)).toString();
+
+    return page(200, getAdminPage({
+      entries,
+      total,
+      filters,
+      exportUrl: `/admin/export.csv${exportQuery ? `?${exportQuery}` : ''}`,
+      csrfToken: createCsrfToken(this.adminKey),
+      canRevoke: !!this.revocationStore,
+      auditEnabled: !!this.auditLog,
+      notice: req.query.get('notice')
+    }));
+  }
+
+  async handleAdminExport(req) {
+    const denied = this.checkAdminAccess(req);
+    if (denied) return denied;
+
+    const { entries } = await this.listAuditEntries(readFilters(req.query));
+    return {
+      status: 200,
+      headers: {
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="issued-tokens-${new Date().toISOString().slice(0, 10)}.csv"`
+      },
+      body: toCsv(entries)
+    };
+  }
+
+  // Revoke an issued token from its encrypted copy and record it in the audit log
+  async handleAdminRevoke(req) {
+    const denied = this.checkAdminAccess(req);
+    if (denied) return denied;
+
+    if (!isValidCsrfToken(req.body?.csrf, this.adminKey)) {
+      return page(403, getErrorPage('Invalid or missing form token, please reload the admin page'));
+    }
+    if (!this.auditLog || !this.revocationStore) {
+      return page(400, getErrorPage('Revocation needs ADMIN_REVOCATION=true, AUDIT_LOG_FILE and ENCRYPTION_KEY to be configured'));
+    }
+
+    const id = typeof req.body?.id === 'string' ? req.body.id : '';
+    const entry = (await this.auditLog.listIssued()).find(issued => issued.id === id);
+    if (!entry) {
+      return page(404, getErrorPage('Unknown audit log entry'));
+    }
+    if (entry.revoked_at) {
+      return redirect('/admin?notice=revoked', 303);
+    }
+
+    const record = await this.revocationStore.claim(id);
+    if (!record) {
+      return redirect('/admin?notice=not_stored', 303);
+    }
+
+    let result = {};
+    const remaining = [];
+    let expired = false;
+    for (const token of record.tokens) {
+      try {
+        const { revoked } = await this.revokeIssuedToken(token, this.resolveApp(record.app));
+        if (!revoked) remaining.push(token);
+      } catch (error) {
+        if (error.expired) {
+          req.log.warn('Admin revocation failed: the token expired and could not be refreshed', { auditId: id, error });
+          expired = true;
+          continue;
+        }
+        if (!error.slackError) {
+          req.log.error('Admin revocation failed', { auditId: id, error });
+          remaining.push(token);
+          continue;
+        }
+        // invalid_auth, token_revoked, ...: the token is already unusable
+        result = { error: error.slackError };
+      }
+    }
+
+    if (remaining.length > 0) {
+      // Slack was unreachable or refused; keep what is left so the revoke can be retried
+      await this.revocationStore.deposit({ tokens: remaining, app: record.app }, { code: id });
+      return redirect('/admin?notice=failed', 303);
+    }
+    if (expired) {
+      // Whoever holds the newer refresh token can still use the grant, so it is not marked as revoked
+      return redirect('/admin?notice=expired', 303);
+    }
+
+    await this.auditLog.append({
+      type: 'token_revoked',
+      target: id,
+      slack_user_id: entry.slack_user_id,
+      ip: req.ip || null,
+      ...result
+    });
+    req.log.info('Admin revoked token', { auditId: id, slackUserId: entry.slack_user_id, slackError: result.error || null });
+    return redirect(`/admin?notice=${result.error ? 'invalid' : 'revoked'}`, 303);
+  }
+
+  /**
+   * Revoke a stored { accessToken, refreshToken } pair. Rotated access tokens
+   * expire after 12 hours; those are refreshed first and the new one revoked.
+   * The pair is updated in place so a retry uses the latest refresh token.
+   * Throws with `expired` when the token expired and could not be refreshed.
+   */
+  async revokeIssuedToken(token, app) {
+    try {
+      return await revokeToken(token.accessToken, { apiBase: this.apiBase });
+    } catch (error) {
+      if (error.slackError !== 'token_expired') throw error;
+      if (!token.refreshToken || !app) throw Object.assign(error, { expired: true });
+    }
+
+    let data;
+    try {
+      data = await refreshAccessToken(token.refreshToken, {
+        clientId: app.clientId,
+        clientSecret: app.clientSecret,
+        apiBase: this.apiBase
+      });
+    } catch (error) {
+      // invalid_refresh_token: it was already used, so a newer one is out there
+      throw error.slackError ? Object.assign(error, { expired: true }) : error;
+    }
+
+    const rotation = getRotationDetails(data);
+    Object.assign(token, { accessToken: rotation.accessToken, refreshToken: rotation.refreshToken });
+    return revokeToken(token.accessToken, { apiBase: this.apiBase });
+  }
+
+  handleHealth() {
+    return json(200, {
+      status: 'ok',
+      timestamp: new Date().toISOString(),
+      uptime: process.uptime(),
+      mode: 'direct-token-display',
+      environment: this.environment
+    });
+  }
+
+  // Unlike /health, fails (503) when the generator could not complete a flow right now
+  async handleReadiness() {
+    const [config, stateStore, slack] = await Promise.all([
+      checkConfig(this),
+      checkStateStore(this.stateStore),
+      this.slackProbe
+        ? probeSlack({ apiBase: this.apiBase, timeout: this.slackProbe.timeout })
+        : { status: 'skipped' }
+    ]);
+    const checks = { config, state_store: stateStore, slack };
+    const ready = Object.values(checks).every(check => check.status !== 'fail');
+
+    if (!ready) {
+      this.logger.warn('Readiness check failed', { checks });
+    }
+    return json(ready ? 200 : 503, {
+      status: ready ? 'ok' : 'fail',
+      timestamp: new Date().toISOString(),
+      environment: this.environment,
+      checks
+    });
+  }
+
+  handleInfo() {
+    return json(200, {
+      name: 'Slack User Token Generator',
+      mode: 'Direct Token Display',
+      description: 'Generates user tokens and displays them directly to users',
+      security: [
+        this.vault && 'Encrypted one-time vault (AES-256-GCM)',
+        this.revocationStore && 'Encrypted copies kept for admin revocation (AES-256-GCM)',
+        this.deliverySinks.length > 0 && 'Tokens also delivered to the configured sinks'
+      ].filter(Boolean).join('; ') || 'No server-side token storage',
+      apps: Object.keys(this.apps),
+      version: '2.0.0'
+    });
+  }
+
+  async handleMetrics() {
+    return {
+      status: 200,
+      headers: { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' },
+      body: await this.metrics.registry.render()
+    };
+  }
+
+  async exchangeCodeForToken(code, codeVerifier, log = this.logger, app = this.resolveApp(null)) {
+    log.debug('Exchanging code with Slack', {
+      app: app.key,
+      hasClientId: !!app.clientId,
+      hasClientSecret: !!app.clientSecret,
+      pkce: !!codeVerifier,
+      redirectUri: app.redirectUri
+    });
+
+    // Timed until the body has arrived, failures included
+    const stopTimer = this.metrics.exchangeDuration.startTimer();
+    let response;
+    let text;
+    try {
+      response = await fetch(`${this.apiBase}/api/oauth.v2.access`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+        },
+        body: buildOAuthParams({
+          client_id: app.clientId,
+          client_secret: app.clientSecret,
+          code: code,
+          code_verifier: codeVerifier,
+          redirect_uri: app.redirectUri,
+        }),
+      });
+      text = await response.text();
+    } finally {
+      stopTimer();
+    }
+
+    if (!response.ok) {
+      log.error('HTTP error from Slack', { status: response.status, body: text.slice(0, 500) });
+      throw Object.assign(new Error(`HTTP error! status: ${response.status} - ${text}`), { status: response.status });
+    }
+
+    const data = JSON.parse(text);
+    log.debug('Slack exchange response', {
+      status: response.status,
+      ok: data.ok,
+      hasAuthedUser: !!data.authed_user,
+      hasAccessToken: !!(data.authed_user && data.authed_user.access_token),
+      hasBotToken: data.token_type === 'bot' && !!data.access_token,
+      hasTeam: !!data.team,
+      hasEnterprise: !!data.enterprise,
+      isEnterpriseInstall: !!data.is_enterprise_install,
+      error: data.error
+    });
+
+    if (!data.ok) {
+      log.warn('Slack rejected the code exchange', { slackError: data.error });
+      throw Object.assign(new Error(`OAuth exchange failed: ${data.error}`), { slackError: data.error });
+    }
+
+    return data;
+  }
+
+  async cleanupStates() {
+    const cleaned = await this.stateStore.cleanup();
+
+    if (cleaned > 0) {
+      this.logger.info('Cleaned up expired OAuth states', { cleaned });
+    }
+    return cleaned;
+  }
+}
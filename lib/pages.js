@@ -0,0 +1,1205 @@
+/**
+ * HTML pages shared by every deployment (Express, Vercel, node:http)
+ * Built with the auto-escaping html`` tag, so Slack and query-string values are always escaped.
+ */
+import { html } from './templates.js';
+import { describeScope, describeBotScope } from './scope-profiles.js';
+import { getRotationDetails, getWorkspaceDetails, getBotTokenDetails } from './slack-oauth.js';
+import { logger } from './logger.js';
+
+// `app` is a SLACK_APPS app (see lib/slack-apps.js) whose name and color brand the page;
+// with `vault` the token is handed over through a claim link instead of shown (TOKEN_VAULT),
+// with `revocation` an encrypted copy is kept for admins to revoke (ADMIN_REVOCATION), and
+// with `delivery` the token is also sent to the configured delivery sinks (lib/delivery.js)
+export function getHomePage(scopeProfiles, selectedProfile, {
+  orgInstall = false, app = null, vault = false, revocation = false, delivery = false, cspNonce
+} = {}) {
+  const title = app?.name ? `${app.name} Token Generator` : 'Slack User Token Generator';
+  const startPath = app?.key ? `/auth/start/${app.key}` : '/auth/start';
+
+  const profiles = Object.values(scopeProfiles.profiles);
+  
+  const profileOptions = profiles.map(profile => html`
+                  <option value="${profile.name}" ${profile.name === selectedProfile && 'selected'}>${profile.label}</option>`);
+  
+  // One permission list per profile; the picker shows the one that is selected
+  const permissionLists = profiles.map(profile => html`
+          <ul data-profile="${profile.name}" ${profile.name !== selectedProfile && 'hidden'}>
+              ${profile.scopes.map(scope => html`
+              <li>${describeScope(scope)} <code>${scope}</code></li>`)}
+              ${profile.botScopes.map(scope => html`
+              <li>🤖 Bot: ${describeBotScope(scope)} <code>${scope}</code></li>`)}
+          </ul>`);
+  
+  return html`
+<!DOCTYPE html>
+<html>
+<head>
+    <title>${title}</title>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <style>
+        body { 
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; 
+            max-width: 800px; 
+            margin: 0 auto; 
+            padding: 20px; 
+            line-height: 1.6;
+            background: #f8f9fa;
+        }
+        .container { 
+            background: white; 
+            padding: 30px; 
+            border-radius: 12px; 
+            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+        }
+        .button { 
+            background: #4CAF50; 
+            color: white; 
+            padding: 12px 24px; 
+            text-decoration: none; 
+            border-radius: 8px; 
+            display: inline-block; 
+            margin: 15px 0; 
+            border: none; 
+            cursor: pointer;
+            font-size: 16px;
+            transition: background 0.3s;
+        }
+        .button:hover { background: #45a049; }
+        .form-group { margin: 15px 0; }
+        label { 
+            display: block; 
+            margin-bottom: 8px; 
+            font-weight: 600;
+            color: #333;
+        }
+        input { 
+            width: 100%; 
+            max-width: 400px;
+            padding: 12px; 
+            border: 2px solid #ddd; 
+            border-radius: 8px;
+            font-size: 14px;
+        }
+        input:focus {
+            outline: none;
+            border-color: #4CAF50;
+        }
+        .warning { 
+            background: #fff3cd; 
+            color: #856404; 
+            padding: 15px; 
+            border-radius: 8px; 
+            margin: 15px 0; 
+            border-left: 4px solid #ffc107;
+        }
+        .info { 
+            background: #d4edda; 
+            color: #155724; 
+            padding: 15px; 
+            border-radius: 8px; 
+            margin: 15px 0; 
+            border-left: 4px solid #28a745;
+        }
+        h1 { color: #333; margin-bottom: 10px; }
+        h3 { color: #555; margin-top: 25px; }
+        ul, ol { padding-left: 20px; }
+        li { margin: 8px 0; }
+        select {
+            width: 100%;
+            max-width: 400px;
+            padding: 12px;
+            border: 2px solid #ddd;
+            border-radius: 8px;
+            font-size: 14px;
+            background: white;
+        }
+        code { font-size: 12px; color: #555; }
+        .security-note {
+            background: #e3f2fd;
+            color: #1565c0;
+            padding: 15px;
+            border-radius: 8px;
+            margin: 15px 0;
+            border-left: 4px solid #2196f3;
+        }
+        ${app?.color && html`.button, .button:hover { background: ${app.color}; }
+        input:focus { border-color: ${app.color}; }`}
+    </style>
+</head>
+<body>
+    <div class="container">
+        <h1>🔐 ${title}</h1>
+        
+        <div class="warning">
+            <strong>⚠️ Important:</strong> This will generate a personal access token for your Slack account. 
+            Only proceed if you understand what you're authorizing.
+        </div>
+        
+        <div class="info">
+            <strong>✅ This app will request permissions to:</strong>${permissionLists}
+        </div>
+
+        <div class="security-note">
+            <strong>🛡️ Security & Privacy:</strong>
+            <ul>
+                ${vault ? html`
+                <li><strong>Encrypted Hand-off:</strong> Your token is kept on the server, encrypted, until you claim it once or the link expires</li>
+                <li><strong>One-Time Link:</strong> You get a single-use claim link instead of the token itself</li>` : html`
+                ${!revocation && !delivery && html`<li><strong>No Storage:</strong> Your token is never stored on our servers</li>`}
+                <li><strong>Direct Display:</strong> The token appears only on your screen for copying</li>`}
+                ${revocation && html`
+                <li><strong>Kept for Revocation:</strong> An encrypted copy of your token stays on the server so administrators can revoke it</li>`}
+                ${delivery && html`
+                <li><strong>Automatic Delivery:</strong> Your token is also sent to the integrations this deployment is configured with</li>`}
+                <li><strong>Your Control:</strong> You can revoke access anytime in Slack settings</li>
+                <li><strong>Secure Connection:</strong> All communication is encrypted</li>
+            </ul>
+        </div>
+        
+        <form action="${startPath}" method="get">
+            <div class="form-group">
+                <label for="profile">Permission profile:</label>
+                <select id="profile" name="profile">${profileOptions}
+                </select>
+                <small style="color: #666;">Pick the smallest set of permissions you need</small>
+            </div>
+            ${orgInstall && html`
+            <div class="form-group">
+                <label><input type="checkbox" name="install" value="org" style="width: auto;"> Install org-wide (Enterprise Grid)</label>
+                <small style="color: #666;">Covers every workspace in the organization; must be approved by an org admin</small>
+            </div>`}
+            
+            <div class="form-group">
+                <label for="user_id">Your User ID (optional):</label>
+                <input type="text" id="user_id" name="user_id" placeholder="e.g., john.doe or U1234567890" maxlength="100">
+                <small style="color: #666;">This helps identify you in logs (optional)</small>
+            </div>
+            
+            <div class="form-group">
+                <label for="user_name">Your Name (optional):</label>
+                <input type="text" id="user_name" name="user_name" placeholder="e.g., John Doe" maxlength="100">
+                <small style="color: #666;">For display purposes only (optional)</small>
+            </div>
+            
+            <button type="submit" class="button">🚀 Generate My Slack Token</button>
+        </form>
+        
+        <p>Already have a token? <a href="/token/inspect">🔎 Check whether it's still valid and what it can do</a></p>
+        
+        <h3>What happens next?</h3>
+        <ol>
+            <li><strong>Slack Authorization:</strong> You'll be redirected to Slack to review and approve permissions</li>
+            <li><strong>Token Generation:</strong> Slack generates your personal access token</li>
+            ${vault
+              ? html`<li><strong>Claim Link:</strong> You get a one-time link that reveals your token once</li>`
+              : html`<li><strong>Direct Display:</strong> Your token appears on screen for immediate copying</li>`}
+            <li><strong>Use Immediately:</strong> Copy and use your token right away</li>
+        </ol>
+        
+        <h3>After You Get Your Token:</h3>
+        <ul>
+            <li>📋 <strong>Copy it immediately</strong> - it won't be shown again</li>
+            <li>🔒 <strong>Store it securely</strong> - treat it like a password</li>
+            <li>⚡ <strong>Use it in your app</strong> - paste it where needed</li>
+            <li>🚫 <strong>Revoke when done</strong> - use the Revoke button on the success page or the <a href="/token/inspect">token inspector</a></li>
+        </ul>
+    </div>
+
+    <script nonce="${cspNonce}">
+        // Show the permission list for the selected profile
+        document.getElementById('profile').addEventListener('change', function() {
+            document.querySelectorAll('ul[data-profile]').forEach((list) => {
+                list.hidden = list.dataset.profile !== this.value;
+            });
+        });
+    </script>
+</body>
+</html>`;
+}
+
+export function getSuccessPageWithToken(tokenData, stateData, { app = null, deliveries = [], revocation = false, cspNonce } = {}) {
+  try {
+    // Safe access with fallbacks
+    const userName = tokenData?.authed_user?.name || stateData?.user_name || 'Unknown User';
+    const userId = tokenData?.authed_user?.id || 'Unknown ID';
+    const workspace = getWorkspaceDetails(tokenData);
+    const scopes = tokenData?.authed_user?.scope || 'No scopes';
+    const rotation = getRotationDetails(tokenData);
+    const userToken = rotation.accessToken;
+    const bot = getBotTokenDetails(tokenData);
+    
+    // Only shown when token rotation is enabled for the Slack app
+    const rotationSection = rotation.refreshToken && html`
+          <h3>🔁 Refresh Token</h3>
+          <p>This token expires at <strong>${new Date(rotation.expiresAt).toLocaleString()}</strong> (in ${Math.round(rotation.expiresIn / 3600)} hours). Use the refresh token with <code>POST /auth/refresh</code> to get a new one.</p>
+          
+          <div class="token-display" id="refreshTokenDisplay">
+              ${rotation.refreshToken}
+          </div>
+          
+          <button class="copy-button" data-copy-target="refreshTokenDisplay" data-copy-status="refreshCopyStatus">
+              📋 Copy Refresh Token
+          </button>
+          <span id="refreshCopyStatus" style="color: #28a745; margin-left: 10px;"></span>`;
+    
+    // Only shown when the scope profile asked for bot scopes
+    const botSection = bot && html`
+        <div class="token-section">
+            <h3>🤖 Bot Token</h3>
+            <p>Acts as the app's bot user <strong>${bot.botUserId || 'Unknown bot user'}</strong>, not as you.</p>
+            
+            <div class="token-display" id="botTokenDisplay">
+                ${bot.accessToken}
+            </div>
+            
+            <button class="copy-button" data-copy-target="botTokenDisplay" data-copy-status="botCopyStatus">
+                📋 Copy Bot Token
+            </button>
+            <span id="botCopyStatus" style="color: #28a745; margin-left: 10px;"></span>
+            ${bot.refreshToken && html`
+            <h3>🔁 Bot Refresh Token</h3>
+            <p>This bot token expires at <strong>${new Date(bot.expiresAt).toLocaleString()}</strong>.</p>
+            
+            <div class="token-display" id="botRefreshTokenDisplay">
+                ${bot.refreshToken}
+            </div>
+            
+            <button class="copy-button" data-copy-target="botRefreshTokenDisplay" data-copy-status="botRefreshCopyStatus">
+                📋 Copy Bot Refresh Token
+            </button>
+            <span id="botRefreshCopyStatus" style="color: #28a745; margin-left: 10px;"></span>`}
+        </div>`;
+    
+    // Results of the delivery integrations (lib/delivery.js), when any are configured
+    const deliverySection = deliveries.length > 0 && html`
+        <div class="token-section">
+            <h3>📬 Deliveries</h3>
+            <ul>
+                ${deliveries.map(delivery => html`
+                <li>${delivery.ok ? '✅' : '❌'} <strong>${delivery.sink}</strong>: ${delivery.ok ? delivery.detail : delivery.error}</li>`)}
+            </ul>
+            ${deliveries.some(delivery => !delivery.ok) && html`<p>Copy the token from this page for the deliveries that failed.</p>`}
+        </div>`;
+    
+    return html`
+<!DOCTYPE html>
+<html>
+<head>
+    <title>🎉 Token Generated Successfully</title>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <style>
+        body { 
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; 
+            max-width: 900px; 
+            margin: 0 auto; 
+            padding: 20px; 
+            line-height: 1.6;
+            background: #f8f9fa;
+        }
+        .container { 
+            background: white; 
+            padding: 30px; 
+            border-radius: 12px; 
+            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+        }
+        .success-header {
+            background: linear-gradient(135deg, #28a745, #20c997);
+            color: white;
+            padding: 25px;
+            border-radius: 12px;
+            margin: -30px -30px 30px -30px;
+            text-align: center;
+        }
+        .token-section {
+            background: #f8f9fa;
+            border: 2px solid #28a745;
+            padding: 20px;
+            border-radius: 12px;
+            margin: 20px 0;
+        }
+        .token-display {
+            background: #ffffff;
+            border: 2px dashed #28a745;
+            padding: 15px;
+            border-radius: 8px;
+            font-family: 'Monaco', 'Menlo', 'Ubuntu Mono', monospace;
+            font-size: 14px;
+            word-break: break-all;
+            margin: 15px 0;
+            position: relative;
+        }
+        .copy-button {
+            background: #28a745;
+            color: white;
+            border: none;
+            padding: 10px 20px;
+            border-radius: 6px;
+            cursor: pointer;
+            font-size: 14px;
+            margin: 10px 0;
+            transition: background 0.3s;
+        }
+        .copy-button:hover { background: #218838; }
+        .copy-button:active { background: #1e7e34; }
+        .info-grid {
+            display: grid;
+            grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
+            gap: 15px;
+            margin: 20px 0;
+        }
+        .info-item {
+            background: #f8f9fa;
+            padding: 15px;
+            border-radius: 8px;
+            border-left: 4px solid #28a745;
+        }
+        .info-item strong {
+            color: #155724;
+            display: block;
+            margin-bottom: 5px;
+        }
+        .warning {
+            background: #fff3cd;
+            color: #856404;
+            padding: 15px;
+            border-radius: 8px;
+            margin: 20px 0;
+            border-left: 4px solid #ffc107;
+        }
+        .next-steps {
+            background: #e3f2fd;
+            padding: 20px;
+            border-radius: 8px;
+            margin: 20px 0;
+        }
+        .next-steps h3 {
+            color: #1565c0;
+            margin-top: 0;
+        }
+        .next-steps ol {
+            color: #1976d2;
+        }
+        .security-reminder {
+            background: #ffebee;
+            color: #c62828;
+            padding: 15px;
+            border-radius: 8px;
+            margin: 20px 0;
+            border-left: 4px solid #f44336;
+        }
+        .security-reminder input {
+            width: 100%;
+            max-width: 500px;
+            padding: 10px;
+            border: 2px solid #f5c6cb;
+            border-radius: 6px;
+            font-family: 'Monaco', 'Menlo', 'Ubuntu Mono', monospace;
+            box-sizing: border-box;
+        }
+        .revoke-button {
+            background: #dc3545;
+            color: white;
+            border: none;
+            padding: 10px 20px;
+            border-radius: 6px;
+            cursor: pointer;
+            font-size: 14px;
+            margin: 10px 0;
+        }
+        .revoke-button:hover { background: #c82333; }
+        .revoke-button:disabled { background: #e4a1a8; cursor: default; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="success-header">
+            <h1>🎉 Your Slack Token is Ready!</h1>
+            <p>Copy your personal access token below</p>
+        </div>
+        
+        ${userToken && html`
+        <div class="token-section">
+            <h3>🔑 Your Personal Access Token</h3>
+            <p><strong>Copy this token immediately - it won't be shown again!</strong></p>
+            
+            <div class="token-display" id="tokenDisplay">
+                ${userToken}
+            </div>
+            
+            <button class="copy-button" data-copy-target="tokenDisplay" data-copy-status="copyStatus">
+                📋 Copy Token to Clipboard
+            </button>
+            <span id="copyStatus" style="color: #28a745; margin-left: 10px;"></span>
+            ${rotationSection}
+        </div>`}
+        ${botSection}
+        ${deliverySection}
+        
+        <div class="info-grid">
+            ${app?.key && html`<div class="info-item">
+                <strong>Slack App:</strong>
+                ${app.name}
+            </div>`}
+            <div class="info-item">
+                <strong>User:</strong>
+                ${userName}
+            </div>
+            <div class="info-item">
+                <strong>User ID:</strong>
+                ${userId}
+            </div>
+            <div class="info-item">
+                <strong>${workspace.isEnterpriseInstall ? 'Organization:' : 'Team:'}</strong>
+                ${workspace.isEnterpriseInstall ? workspace.label : workspace.team?.name || 'Unknown Team'}
+            </div>
+            ${workspace.enterprise && html`<div class="info-item">
+                <strong>Enterprise:</strong>
+                ${workspace.enterprise.name || 'Enterprise Grid'} (${workspace.enterprise.id})
+            </div>`}
+            ${userToken && html`<div class="info-item">
+                <strong>Permissions:</strong>
+                ${scopes.replace(/,/g, ', ')}
+            </div>`}
+            ${bot && html`<div class="info-item">
+                <strong>Bot User ID:</strong>
+                ${bot.botUserId || 'Unknown'}
+            </div>
+            <div class="info-item">
+                <strong>Bot Permissions:</strong>
+                ${bot.scopes.join(', ') || 'No scopes'}
+            </div>`}
+            <div class="info-item">
+                <strong>Expires:</strong>
+                ${rotation.expiresAt ? new Date(rotation.expiresAt).toLocaleString() : 'Never (rotation disabled)'}
+            </div>
+        </div>
+        
+        <div class="next-steps">
+            <h3>📋 Next Steps</h3>
+            <ol>
+                <li><strong>Copy the token above</strong> using the copy button</li>
+                <li><strong>Store it securely</strong> - treat it like a password</li>
+                <li><strong>Use it in your MCP integration</strong> - paste where needed</li>
+                <li><strong>Test the connection</strong> - verify it works as expected</li>
+            </ol>
+        </div>
+        
+        <div class="warning">
+            <strong>⚠️ Important Security Notes:</strong>
+            <ul>
+                <li>This token grants comprehensive access to your Slack account</li>
+                <li>Never share this token publicly or commit it to version control</li>
+                <li>Store it in environment variables or secure configuration</li>
+                ${revocation && html`<li>An encrypted copy of the token is kept on our servers so administrators can revoke it</li>`}
+                ${deliveries.length > 0 && html`<li>The token was also sent to the delivery targets listed under Deliveries</li>`}
+                ${!revocation && deliveries.length === 0 && html`<li>The token is not stored on our servers - only you have access to it</li>`}
+            </ul>
+        </div>
+        
+        <div class="security-reminder">
+            <h4>🛡️ Security Reminder</h4>
+            <p>Revoke the token as soon as you no longer need it. Leave the field empty to revoke the ${userToken ? 'personal' : 'bot'} token shown above, or paste another token${userToken && bot && ' (such as the bot token)'} to revoke that one instead.</p>
+            
+            <input type="password" id="revokeInput" placeholder="Paste a token (optional)" autocomplete="off">
+            <br>
+            <button class="revoke-button" id="revokeButton" data-token-display="${userToken ? 'tokenDisplay' : 'botTokenDisplay'}">🚫 Revoke Now</button>
+            <span id="revokeStatus" style="margin-left: 10px;"></span>
+            
+            <p><small>You can also remove the app in your Slack workspace settings → Apps → Manage → Find this app → Remove.</small></p>
+        </div>
+        
+        <div style="text-align: center; margin-top: 30px; padding-top: 20px; border-top: 1px solid #dee2e6;">
+            <p style="color: #6c757d;">
+                Generated: ${new Date().toLocaleString()}<br>
+                <small>Close this window once you've copied your token</small>
+            </p>
+        </div>
+    </div>
+
+    <script nonce="${cspNonce}">
+        // Each copy button names the token display and status line it uses
+        document.querySelectorAll('.copy-button').forEach((button) => {
+            button.addEventListener('click', function() {
+                copyToken(this.dataset.copyTarget, this.dataset.copyStatus);
+            });
+        });
+        
+        function copyToken(displayId, statusId) {
+            const tokenDisplay = document.getElementById(displayId);
+            const copyStatus = document.getElementById(statusId);
+            
+            // Create a temporary textarea to select and copy the text
+            const tempTextarea = document.createElement('textarea');
+            tempTextarea.value = tokenDisplay.textContent.trim();
+            document.body.appendChild(tempTextarea);
+            tempTextarea.select();
+            tempTextarea.setSelectionRange(0, 99999); // For mobile devices
+            
+            try {
+                document.execCommand('copy');
+                copyStatus.textContent = '✅ Copied!';
+                copyStatus.style.color = '#28a745';
+                
+                // Clear the success message after 3 seconds
+                setTimeout(() => {
+                    copyStatus.textContent = '';
+                }, 3000);
+                
+            } catch (err) {
+                copyStatus.textContent = '❌ Copy failed - please select and copy manually';
+                copyStatus.style.color = '#dc3545';
+            }
+            
+            document.body.removeChild(tempTextarea);
+        }
+        
+        // Auto-select token text when clicked
+        document.querySelectorAll('.token-display').forEach((display) => {
+            display.addEventListener('click', function() {
+                const range = document.createRange();
+                range.selectNode(this);
+                window.getSelection().removeAllRanges();
+                window.getSelection().addRange(range);
+            });
+        });
+        
+        // Show a warning if user tries to leave without copying
+        let tokenCopied = false;
+        document.querySelectorAll('.copy-button').forEach((button) => {
+            button.addEventListener('click', function() {
+                tokenCopied = true;
+            });
+        });
+        
+        window.addEventListener('beforeunload', function(e) {
+            if (!tokenCopied) {
+                e.preventDefault();
+                e.returnValue = 'Have you copied your token? It won\\'t be shown again.';
+            }
+        });
+        
+        // Revoke the pasted token, or the generated one when nothing was pasted
+        document.getElementById('revokeButton').addEventListener('click', async function() {
+            const revokeInput = document.getElementById('revokeInput');
+            const revokeStatus = document.getElementById('revokeStatus');
+            const pasted = revokeInput.value.trim();
+            const token = pasted || document.getElementById(this.dataset.tokenDisplay).textContent.trim();
+            
+            if (!confirm(pasted ? 'Revoke the pasted token?' : 'Revoke the token shown on this page? It will stop working immediately.')) {
+                return;
+            }
+            
+            this.disabled = true;
+            revokeStatus.textContent = 'Revoking...';
+            revokeStatus.style.color = '#6c757d';
+            
+            try {
+                const response = await fetch('/token/revoke', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ token })
+                });
+                const data = await response.json();
+                
+                if (data.ok) {
+                    revokeStatus.textContent = '✅ Token revoked - it can no longer be used';
+                    revokeStatus.style.color = '#28a745';
+                    revokeInput.value = '';
+                    if (!pasted) tokenCopied = true;
+                } else {
+                    revokeStatus.textContent = '❌ Revocation failed: ' + data.error;
+                    revokeStatus.style.color = '#dc3545';
+                }
+            } catch (err) {
+                revokeStatus.textContent = '❌ Revocation failed: ' + err.message;
+                revokeStatus.style.color = '#dc3545';
+            }
+            
+            this.disabled = false;
+        });
+    </script>
+</body>
+</html>`;
+  } catch (error) {
+    logger.error('Error generating success page', { error });
+    return html`
+<!DOCTYPE html>
+<html>
+<head><title>Success</title></head>
+<body>
+    <h1>✅ Token Generated Successfully!</h1>
+    <p>Your token: <code>${tokenData?.authed_user?.access_token || 'Error displaying token'}</code></p>
+    ${tokenData?.token_type === 'bot' && html`<p>Bot token: <code>${tokenData.access_token}</code></p>`}
+    <p>Please copy this token immediately and store it securely.</p>
+</body>
+</html>`;
+  }
+}
+
+export function getErrorPage(errorMessage) {
+  return html`
+<!DOCTYPE html>
+<html>
+<head>
+    <title>Authorization Error</title>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <style>
+        body { 
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; 
+            max-width: 800px; 
+            margin: 0 auto; 
+            padding: 20px;
+            background: #f8f9fa;
+        }
+        .container { 
+            background: white;
+            padding: 30px; 
+            border-radius: 12px; 
+            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+        }
+        .error-header {
+            background: linear-gradient(135deg, #dc3545, #c82333);
+            color: white;
+            padding: 25px;
+            border-radius: 12px;
+            margin: -30px -30px 30px -30px;
+            text-align: center;
+        }
+        .button { 
+            background: #007bff; 
+            color: white; 
+            padding: 12px 24px; 
+            text-decoration: none; 
+            border-radius: 8px; 
+            display: inline-block; 
+            margin: 15px 0;
+            transition: background 0.3s;
+        }
+        .button:hover { background: #0056b3; }
+        .error-details {
+            background: #f8d7da;
+            color: #721c24;
+            padding: 15px;
+            border-radius: 8px;
+            margin: 20px 0;
+            border-left: 4px solid #dc3545;
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="error-header">
+            <h1>❌ Authorization Failed</h1>
+            <p>Something went wrong during token generation</p>
+        </div>
+        
+        <div class="error-details">
+            <strong>Error Details:</strong><br>
+            ${errorMessage}
+        </div>
+        
+        <p>Please try again or contact your administrator if the problem persists.</p>
+        
+        <a href="/" class="button">← Try Again</a>
+    </div>
+</body>
+</html>`;
+}
+
+export function getInspectPage(scopeProfiles, selectedProfile, { cspNonce } = {}) {
+  const profileOptions = Object.values(scopeProfiles.profiles).map(profile => html`
+                    <option value="${profile.name}" ${profile.name === selectedProfile && 'selected'}>${profile.label}</option>`);
+
+  return html`
+<!DOCTYPE html>
+<html>
+<head>
+    <title>Inspect a Slack Token</title>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <style>
+        body { 
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; 
+            max-width: 800px; 
+            margin: 0 auto; 
+            padding: 20px; 
+            line-height: 1.6;
+            background: #f8f9fa;
+        }
+        .container { 
+            background: white; 
+            padding: 30px; 
+            border-radius: 12px; 
+            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+        }
+        .form-group { margin: 15px 0; }
+        label { 
+            display: block; 
+            margin-bottom: 8px; 
+            font-weight: 600;
+            color: #333;
+        }
+        input, select { 
+            width: 100%; 
+            max-width: 600px;
+            padding: 12px; 
+            border: 2px solid #ddd; 
+            border-radius: 8px;
+            font-size: 14px;
+            box-sizing: border-box;
+        }
+        input { font-family: 'Monaco', 'Menlo', 'Ubuntu Mono', monospace; }
+        .button { 
+            background: #007bff; 
+            color: white; 
+            padding: 12px 24px; 
+            border-radius: 8px; 
+            border: none; 
+            cursor: pointer;
+            font-size: 16px;
+        }
+        .button:hover { background: #0056b3; }
+        .result {
+            padding: 15px;
+            border-radius: 8px;
+            margin: 20px 0;
+        }
+        .result.ok { background: #d4edda; color: #155724; border-left: 4px solid #28a745; }
+        .result.error { background: #f8d7da; color: #721c24; border-left: 4px solid #dc3545; }
+        .result code { word-break: break-all; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <h1>🔎 Inspect a Slack Token</h1>
+        <p>Check whether a token is still valid, who it belongs to and which permissions it has. You can revoke it from here too.</p>
+        
+        <form id="inspectForm">
+            <div class="form-group">
+                <label for="token">Token:</label>
+                <input type="password" id="token" name="token" placeholder="xoxp-..." autocomplete="off" required>
+            </div>
+            
+            <div class="form-group">
+                <label for="profile">Compare with permission profile:</label>
+                <select id="profile" name="profile">${profileOptions}
+                </select>
+            </div>
+            
+            <button type="submit" class="button">Inspect Token</button>
+        </form>
+        
+        <div id="result" hidden></div>
+        
+        <p><a href="/">← Back to token generator</a></p>
+    </div>
+
+    <script nonce="${cspNonce}">
+        function addLine(container, label, value) {
+            const line = document.createElement('p');
+            const strong = document.createElement('strong');
+            strong.textContent = label + ': ';
+            line.appendChild(strong);
+            line.appendChild(document.createTextNode(value));
+            container.appendChild(line);
+        }
+        
+        async function revokeToken(button) {
+            if (!confirm('Revoke this token? It will stop working immediately.')) return;
+            
+            const result = document.getElementById('result');
+            button.disabled = true;
+            
+            try {
+                const response = await fetch('/token/revoke', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ token: document.getElementById('token').value })
+                });
+                const data = await response.json();
+                
+                result.replaceChildren();
+                result.className = data.ok ? 'result ok' : 'result error';
+                addLine(result, data.ok ? '✅ Token revoked' : '❌ Revocation failed', data.ok ? 'it can no longer be used' : data.error);
+            } catch (err) {
+                button.disabled = false;
+                addLine(result, '❌ Revocation failed', err.message);
+            }
+        }
+        
+        document.getElementById('inspectForm').addEventListener('submit', async function(e) {
+            e.preventDefault();
+            const result = document.getElementById('result');
+            result.replaceChildren();
+            result.hidden = false;
+            
+            try {
+                const response = await fetch('/token/inspect', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        token: document.getElementById('token').value,
+                        profile: document.getElementById('profile').value
+                    })
+                });
+                const data = await response.json();
+                
+                if (!data.ok) {
+                    result.className = 'result error';
+                    addLine(result, '❌ Token check failed', data.error);
+                    return;
+                }
+                
+                result.className = 'result ok';
+                addLine(result, '✅ Valid token for', data.user.name + ' (' + data.user.id + ')');
+                if (data.team.id) addLine(result, 'Team', (data.team.name || 'Unknown Team') + ' (' + data.team.id + ')');
+                if (data.enterprise) addLine(result, 'Enterprise', data.enterprise.id + (data.is_enterprise_install ? ' (org-wide install)' : ''));
+                addLine(result, 'Granted scopes', data.scopes.join(', ') || 'none reported');
+                addLine(result, 'Missing for "' + data.profile + '"', data.missing_scopes.join(', ') || 'none');
+                
+                const revokeButton = document.createElement('button');
+                revokeButton.className = 'button';
+                revokeButton.textContent = '🚫 Revoke this token';
+                revokeButton.addEventListener('click', () => revokeToken(revokeButton));
+                result.appendChild(revokeButton);
+            } catch (err) {
+                result.className = 'result error';
+                addLine(result, '❌ Request failed', err.message);
+            }
+        });
+    </script>
+</body>
+</html>`;
+}
+
+/**
+ * Hands the callback result to a CLI listening on 127.0.0.1 (response_mode=loopback).
+ * The browser posts the payload, so the token never appears in a URL.
+ */
+export function getLoopbackPage(port, nonce, payload, { cspNonce } = {}) {
+  return html`
+<!DOCTYPE html>
+<html>
+<head>
+    <title>Returning to your terminal</title>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <style>
+        body { 
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; 
+            max-width: 600px; 
+            margin: 40px auto; 
+            padding: 20px;
+            text-align: center;
+            background: #f8f9fa;
+        }
+        .button { 
+            background: #007bff; 
+            color: white; 
+            padding: 12px 24px; 
+            border-radius: 8px; 
+            border: none; 
+            cursor: pointer;
+            font-size: 16px;
+        }
+    </style>
+</head>
+<body>
+    <h1>${payload.ok ? '🎉 Token generated' : '❌ Authorization failed'}</h1>
+    <p>Sending the result back to your terminal...</p>
+    
+    <form id="loopbackForm" method="post" action="http://127.0.0.1:${port}/callback">
+        <input type="hidden" name="nonce" value="${nonce}">
+        <input type="hidden" name="payload" value="${JSON.stringify(payload)}">
+        <noscript><button type="submit" class="button">Continue</button></noscript>
+    </form>
+
+    <script nonce="${cspNonce}">
+        document.getElementById('loopbackForm').submit();
+    </script>
+</body>
+</html>`;
+}
+
+// Shown instead of the token when the encrypted vault is enabled
+export function getVaultDepositPage(claimUrl, code, expiresAt) {
+  return html`
+<!DOCTYPE html>
+<html>
+<head>
+    <title>🔐 Token Stored Securely</title>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <style>
+        body { 
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; 
+            max-width: 800px; 
+            margin: 0 auto; 
+            padding: 20px; 
+            line-height: 1.6;
+            background: #f8f9fa;
+        }
+        .container { 
+            background: white; 
+            padding: 30px; 
+            border-radius: 12px; 
+            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+        }
+        .success-header {
+            background: linear-gradient(135deg, #28a745, #20c997);
+            color: white;
+            padding: 25px;
+            border-radius: 12px;
+            margin: -30px -30px 30px -30px;
+            text-align: center;
+        }
+        .claim-box {
+            background: #ffffff;
+            border: 2px dashed #28a745;
+            padding: 15px;
+            border-radius: 8px;
+            font-family: 'Monaco', 'Menlo', 'Ubuntu Mono', monospace;
+            font-size: 14px;
+            word-break: break-all;
+            margin: 15px 0;
+        }
+        .warning {
+            background: #fff3cd;
+            color: #856404;
+            padding: 15px;
+            border-radius: 8px;
+            margin: 20px 0;
+            border-left: 4px solid #ffc107;
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="success-header">
+            <h1>🔐 Your Token is Stored Securely</h1>
+            <p>Retrieve it once with the link or claim code below</p>
+        </div>
+        
+        <h3>🔗 One-time Retrieval Link</h3>
+        <div class="claim-box"><a href="${claimUrl}">${claimUrl}</a></div>
+        
+        <h3>🎟️ Claim Code</h3>
+        <p>Or enter this code at <a href="/vault/claim">/vault/claim</a>:</p>
+        <div class="claim-box">${code}</div>
+        
+        <div class="warning">
+            <strong>⚠️ Important:</strong>
+            <ul>
+                <li>The token can be retrieved <strong>only once</strong> - it is deleted as soon as it is read</li>
+                <li>The link expires at <strong>${new Date(expiresAt).toLocaleString()}</strong></li>
+                <li>The token is encrypted at rest and nobody can read it without this code</li>
+            </ul>
+        </div>
+    </div>
+</body>
+</html>`;
+}
+
+// Asks for confirmation before claiming, so link previews can't burn the one-time code
+export function getVaultClaimPage(code) {
+  return html`
+<!DOCTYPE html>
+<html>
+<head>
+    <title>Retrieve Your Slack Token</title>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <style>
+        body { 
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; 
+            max-width: 800px; 
+            margin: 0 auto; 
+            padding: 20px; 
+            line-height: 1.6;
+            background: #f8f9fa;
+        }
+        .container { 
+            background: white; 
+            padding: 30px; 
+            border-radius: 12px; 
+            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+        }
+        input { 
+            width: 100%; 
+            max-width: 500px;
+            padding: 12px; 
+            border: 2px solid #ddd; 
+            border-radius: 8px;
+            font-family: 'Monaco', 'Menlo', 'Ubuntu Mono', monospace;
+            box-sizing: border-box;
+        }
+        .button { 
+            background: #4CAF50; 
+            color: white; 
+            padding: 12px 24px; 
+            border-radius: 8px; 
+            border: none; 
+            cursor: pointer;
+            font-size: 16px;
+            margin: 15px 0;
+        }
+        .button:hover { background: #45a049; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <h1>🎟️ Retrieve Your Slack Token</h1>
+        <p>The token will be shown once and then permanently deleted from the server.</p>
+        
+        <form action="/vault/claim" method="post">
+            <label for="code"><strong>Claim code:</strong></label><br>
+            <input type="text" id="code" name="code" value="${code}" autocomplete="off" required>
+            <br>
+            <button type="submit" class="button">🔓 Show My Token</button>
+        </form>
+    </div>
+</body>
+</html>`;
+}
+
+// Fixed messages for /admin?notice=..., so the redirect after a revoke can't inject text
+const ADMIN_NOTICES = {
+  revoked: '✅ Token revoked with Slack',
+  invalid: '⚠️ Slack no longer accepts this token; it has been marked as revoked',
+  not_stored: '⚠️ This token is no longer stored on the server (expired or already used) and cannot be revoked from here',
+  failed: '❌ Could not reach Slack to revoke the token. Please try again.',
+  expired: '⚠️ The token has expired and could not be refreshed to revoke it (its refresh token was already used), so it has not been marked as revoked'
+};
+
+export function getAdminPage({ entries, total, filters, exportUrl, csrfToken, canRevoke, auditEnabled, notice }) {
+  return html`
+<!DOCTYPE html>
+<html>
+<head>
+    <title>Slack Token Admin</title>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <style>
+        body { 
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; 
+            max-width: 1200px; 
+            margin: 0 auto; 
+            padding: 20px; 
+            line-height: 1.6;
+            background: #f8f9fa;
+        }
+        .container { 
+            background: white; 
+            padding: 30px; 
+            border-radius: 12px; 
+            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+        }
+        .filters { display: flex; flex-wrap: wrap; gap: 10px; align-items: flex-end; margin: 20px 0; }
+        .filters label { display: flex; flex-direction: column; font-size: 13px; font-weight: bold; }
+        .filters input, .filters select { padding: 8px; border: 2px solid #ddd; border-radius: 8px; }
+        .button { 
+            background: #007bff; 
+            color: white; 
+            padding: 8px 16px; 
+            text-decoration: none; 
+            border-radius: 8px; 
+            border: none; 
+            cursor: pointer;
+            display: inline-block;
+        }
+        .button:hover { background: #0056b3; }
+        .button.danger { background: #dc3545; }
+        .button.danger:hover { background: #c82333; }
+        table { width: 100%; border-collapse: collapse; font-size: 14px; }
+        th, td { text-align: left; padding: 8px; border-bottom: 1px solid #eee; vertical-align: top; }
+        th { background: #f1f3f5; }
+        .scopes { font-family: 'Monaco', 'Menlo', 'Ubuntu Mono', monospace; font-size: 12px; }
+        .muted { color: #6c757d; }
+        .notice {
+            background: #e3f2fd;
+            padding: 15px;
+            border-radius: 8px;
+            margin: 20px 0;
+            border-left: 4px solid #2196F3;
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <h1>🛡️ Issued Tokens</h1>
+        <p class="muted">${canRevoke
+          ? 'Metadata from the audit log. Token values are kept apart, encrypted, only so they can be revoked (ADMIN_REVOCATION).'
+          : 'Metadata from the audit log only - token values are never recorded.'}</p>
+        
+        ${Object.hasOwn(ADMIN_NOTICES, notice) && html`<div class="notice">${ADMIN_NOTICES[notice]}</div>`}
+        ${!auditEnabled && html`<div class="notice">Set <code>AUDIT_LOG_FILE</code> to start recording issued tokens.</div>`}
+        
+        <form class="filters" action="/admin" method="get">
+            <label>User <input type="text" name="user" value="${filters.user}" placeholder="ID or name"></label>
+            <label>Team <input type="text" name="team" value="${filters.team}" placeholder="ID or name"></label>
+            <label>Scope <input type="text" name="scope" value="${filters.scope}" placeholder="e.g. chat:write"></label>
+            <label>Status
+                <select name="status">
+                    <option value="" ${!filters.status && 'selected'}>Any</option>
+                    <option value="active" ${filters.status === 'active' && 'selected'}>Active</option>
+                    <option value="revoked" ${filters.status === 'revoked' && 'selected'}>Revoked</option>
+                </select>
+            </label>
+            <label>From <input type="date" name="from" value="${filters.from}"></label>
+            <label>To <input type="date" name="to" value="${filters.to}"></label>
+            <button type="submit" class="button">Filter</button>
+            <a href="${exportUrl}" class="button">⬇️ Export CSV</a>
+        </form>
+        
+        <p class="muted">Showing ${entries.length} of ${total} issued tokens</p>
+        
+        <table>
+            <thead>
+                <tr>
+                    <th>Issued</th>
+                    <th>Slack User</th>
+                    <th>Requested As</th>
+                    <th>Team</th>
+                    <th>Scopes</th>
+                    <th>Requester IP</th>
+                    <th>Status</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${entries.map(entry => html`
+                <tr>
+                    <td>${entry.timestamp}</td>
+                    <td>${entry.slack_user_id}</td>
+                    <td>${entry.user_name || '-'}<br><span class="muted">${entry.user_id}</span></td>
+                    <td>
+                        ${entry.team_name || (entry.team_id ? '-' : '')}<br><span class="muted">${entry.team_id}</span>
+                        ${entry.enterprise_id && html`<br>🏢 ${entry.enterprise_name || 'Enterprise'}${entry.is_enterprise_install && ' (org-wide)'}<br><span class="muted">${entry.enterprise_id}</span>`}
+                    </td>
+                    <td class="scopes">
+                        ${entry.profile}<br>${(entry.scopes || []).join(', ')}
+                        ${entry.bot_user_id && html`<br>🤖 ${entry.bot_user_id}: ${(entry.bot_scopes || []).join(', ')}`}
+                    </td>
+                    <td>${entry.ip || '-'}</td>
+                    <td>
+                        ${entry.revoked_at
+                          ? html`🚫 Revoked<br><span class="muted">${entry.revoked_at}</span>`
+                          : html`✅ Active
+                        ${canRevoke && html`<form action="/admin/revoke" method="post">
+                            <input type="hidden" name="id" value="${entry.id}">
+                            <input type="hidden" name="csrf" value="${csrfToken}">
+                            <button type="submit" class="button danger">Revoke</button>
+                        </form>`}`}
+                    </td>
+                </tr>`)}
+            </tbody>
+        </table>
+        
+        ${!canRevoke && html`<p class="muted">Revoking from the dashboard needs <code>ADMIN_REVOCATION=true</code> and <code>ENCRYPTION_KEY</code>, which keep issued tokens encrypted on the server until they are revoked.</p>`}
+    </div>
+</body>
+</html>`;
+}
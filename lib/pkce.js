@@ -0,0 +1,19 @@
+/**
+ * PKCE (RFC 7636) helpers for the OAuth flow
+ * Enable with SLACK_USE_PKCE=true. The verifier is kept with the OAuth state and
+ * only the S256 challenge is sent to Slack, so an intercepted code is useless on its own.
+ */
+import crypto from 'crypto';
+
+export function isPkceEnabled(env = process.env) {
+  return env.SLACK_USE_PKCE === 'true';
+}
+
+export function createCodeVerifier() {
+  // 32 random bytes -> 43 base64url characters, within the 43-128 range the spec requires
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+export function createCodeChallenge(verifier) {
+  return crypto.createHash('sha256').update(verifier).digest('base64url');
+}
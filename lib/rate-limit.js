@@ -0,0 +1,97 @@
+/**
+ * Per-IP token-bucket rate limits
+ * Each client IP gets a bucket per route group that holds up to `perMinute`
+ * requests and refills continuously at the same rate, so short bursts pass and
+ * loops are cut off with 429 + Retry-After.
+ *
+ *   RATE_LIMIT_OAUTH_PER_MINUTE   /auth/start, /auth/callback (default 30)
+ *   RATE_LIMIT_TOKEN_PER_MINUTE   /auth/refresh, /token/inspect, /token/revoke, /vault/claim (default 60)
+ *   RATE_LIMIT_ADMIN_PER_MINUTE   /admin, /admin/export.csv, /admin/revoke (default 30), which
+ *                                 also bounds guesses of ADMIN_KEY
+ *
+ * 0 disables a group. Buckets live in process memory: on Vercel each instance
+ * counts on its own, so the effective limit scales with the number of instances.
+ */
+
+export const DEFAULT_RATE_LIMITS = { oauth: 30, token: 60, admin: 30 };
+
+// Buckets kept before the least recently seen IP is forgotten
+const MAX_TRACKED_CLIENTS = 10000;
+
+// Which limit applies to a "METHOD /path" route; unlisted routes are not limited
+export const RATE_LIMITED_ROUTES = {
+  'GET /auth/start': 'oauth',
+  'GET /auth/callback': 'oauth',
+  'POST /auth/refresh': 'token',
+  'POST /token/inspect': 'token',
+  'POST /token/revoke': 'token',
+  'POST /vault/claim': 'token',
+  'GET /admin': 'admin',
+  'GET /admin/export.csv': 'admin',
+  'POST /admin/revoke': 'admin'
+};
+
+export class TokenBucket {
+  constructor({ perMinute, maxClients = MAX_TRACKED_CLIENTS }) {
+    this.capacity = perMinute;
+    this.refillPerMs = perMinute / 60_000;
+    this.maxClients = maxClients;
+    this.buckets = new Map();
+  }
+
+  /**
+   * Spend one token for `key`. Returns { allowed, retryAfter } where retryAfter
+   * is the number of seconds until the next token is available.
+   */
+  take(key, now = Date.now()) {
+    const bucket = this.buckets.get(key) || { tokens: this.capacity, updatedAt: now };
+    bucket.tokens = Math.min(this.capacity, bucket.tokens + (now - bucket.updatedAt) * this.refillPerMs);
+    bucket.updatedAt = now;
+
+    // Re-inserting keeps the Map in use order for eviction
+    this.buckets.delete(key);
+    if (this.buckets.size >= this.maxClients) {
+      this.buckets.delete(this.buckets.keys().next().value);
+    }
+    this.buckets.set(key, bucket);
+
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return { allowed: true, retryAfter: 0 };
+    }
+    return { allowed: false, retryAfter: Math.ceil((1 - bucket.tokens) / this.refillPerMs / 1000) };
+  }
+}
+
+export class RateLimiter {
+  constructor(limits = DEFAULT_RATE_LIMITS) {
+    this.groups = Object.fromEntries(Object.entries(limits)
+      .filter(([, perMinute]) => perMinute > 0)
+      .map(([group, perMinute]) => [group, new TokenBucket({ perMinute })]));
+  }
+
+  // null when the route is not limited, otherwise the bucket result and its group
+  check(route, ip, now) {
+    const group = RATE_LIMITED_ROUTES[route];
+    const bucket = group && this.groups[group];
+    if (!bucket) return null;
+    return { group, ...bucket.take(ip || 'unknown', now) };
+  }
+}
+
+function parseLimit(env, name, fallback) {
+  if (env[name] === undefined || env[name] === '') return fallback;
+  const value = Number(env[name]);
+  if (!Number.isFinite(value) || value < 0) {
+    throw new Error(`${name} must be a non-negative number, got "${env[name]}"`);
+  }
+  return value;
+}
+
+export function createRateLimiter(env = process.env) {
+  return new RateLimiter({
+    oauth: parseLimit(env, 'RATE_LIMIT_OAUTH_PER_MINUTE', DEFAULT_RATE_LIMITS.oauth),
+    token: parseLimit(env, 'RATE_LIMIT_TOKEN_PER_MINUTE', DEFAULT_RATE_LIMITS.token),
+    admin: parseLimit(env, 'RATE_LIMIT_ADMIN_PER_MINUTE', DEFAULT_RATE_LIMITS.admin)
+  });
+}
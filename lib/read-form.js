@@ -0,0 +1,20 @@
+/**
+ * Form bodies for the small node:http servers (the CLI's loopback listener and
+ * the mock Slack). Bodies over 64 KB are refused and the request destroyed.
+ */
+const MAX_BODY_BYTES = 64 * 1024;
+
+export function readForm(req) {
+  return new Promise((resolve, reject) => {
+    let raw = '';
+    req.on('data', (chunk) => {
+      raw += chunk;
+      if (raw.length > MAX_BODY_BYTES) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => resolve(new URLSearchParams(raw)));
+    req.on('error', reject);
+  });
+}
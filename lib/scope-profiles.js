@@ -0,0 +1,179 @@
+/**
+ * Slack scope profiles
+ * Named sets of user scopes (and optionally bot scopes) that can be requested
+ * during the OAuth flow. A profile with botScopes also returns an xoxb- bot
+ * token; one with only botScopes is a bot-only install.
+ * SCOPE_PROFILES (inline JSON) or SCOPE_PROFILES_FILE (path to a JSON file)
+ * replace the built-in profiles entirely, so only the profiles listed there can
+ * be requested. DEFAULT_SCOPE_PROFILE picks the default (else mcp-full for the
+ * built-ins, the first listed profile for custom ones), e.g.
+ *   {"bot": {"label": "Bot", "scopes": [], "botScopes": ["chat:write"]}}
+ */
+import fs from 'fs';
+
+// Every user scope this app is willing to request, with a description for the home page
+export const ALLOWED_USER_SCOPES = {
+  'channels:history': 'View messages and other content in your public channels',
+  'channels:read': 'View basic information about public channels',
+  'channels:write': 'Manage your public channels and create new ones',
+  'chat:write': 'Send messages on your behalf',
+  'groups:history': 'View messages and other content in your private channels',
+  'groups:read': 'View basic information about your private channels',
+  'groups:write': 'Manage your private channels and create new ones',
+  'im:history': 'View messages and other content in your direct messages',
+  'im:read': 'View basic information about your direct messages',
+  'im:write': 'Start direct messages with people on your behalf',
+  'mpim:history': 'View messages and other content in your group direct messages',
+  'mpim:read': 'View basic information about your group direct messages',
+  'users:read': 'View people in the workspace',
+  'users:read.email': 'View email addresses of people in the workspace',
+  'search:read': 'Search your workspace\'s content'
+};
+
+// Bot scopes a profile may request with botScopes
+export const ALLOWED_BOT_SCOPES = {
+  'app_mentions:read': 'See messages that mention the bot',
+  'channels:history': 'View messages in public channels the bot is in',
+  'channels:join': 'Join public channels',
+  'channels:read': 'View basic information about public channels',
+  'chat:write': 'Send messages as the bot',
+  'chat:write.public': 'Send messages to channels the bot isn\'t in',
+  'commands': 'Add slash commands',
+  'groups:history': 'View messages in private channels the bot is in',
+  'groups:read': 'View basic information about private channels the bot is in',
+  'im:history': 'View messages in direct messages with the bot',
+  'im:read': 'View basic information about direct messages with the bot',
+  'im:write': 'Start direct messages with people',
+  'reactions:write': 'Add and remove emoji reactions',
+  'users:read': 'View people in the workspace'
+};
+
+export const DEFAULT_SCOPE_PROFILES = {
+  'read-only': {
+    label: 'Read only',
+    description: 'Read channels, messages and people without write access',
+    scopes: [
+      'channels:history',
+      'channels:read',
+      'groups:read',
+      'im:history',
+      'mpim:history',
+      'users:read'
+    ]
+  },
+  'search': {
+    label: 'Search',
+    description: 'Search messages and look up channels and people',
+    scopes: [
+      'channels:read',
+      'search:read',
+      'users:read'
+    ]
+  },
+  'mcp-full': {
+    label: 'Full MCP integration',
+    description: 'Read, search and send messages for a full MCP integration',
+    scopes: [
+      'channels:history',
+      'channels:read',
+      'channels:write',
+      'chat:write',
+      'groups:read',
+      'groups:write',
+      'im:history',
+      'im:write',
+      'mpim:history',
+      'users:read',
+      'search:read'
+    ]
+  }
+};
+
+export const DEFAULT_SCOPE_PROFILE = 'mcp-full';
+
+function readCustomProfiles(env) {
+  if (env.SCOPE_PROFILES) {
+    try {
+      return JSON.parse(env.SCOPE_PROFILES);
+    } catch (error) {
+      throw new Error(`SCOPE_PROFILES is not valid JSON: ${error.message}`);
+    }
+  }
+
+  if (env.SCOPE_PROFILES_FILE) {
+    try {
+      return JSON.parse(fs.readFileSync(env.SCOPE_PROFILES_FILE, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read SCOPE_PROFILES_FILE (${env.SCOPE_PROFILES_FILE}): ${error.message}`);
+    }
+  }
+
+  return null;
+}
+
+function normalizeProfile(name, profile) {
+  // Allow the short form { "name": ["scope", ...] }
+  const definition = Array.isArray(profile) ? { scopes: profile } : profile;
+
+  const scopes = definition?.scopes ?? [];
+  const botScopes = definition?.botScopes ?? [];
+
+  if (!Array.isArray(scopes) || !Array.isArray(botScopes) || scopes.length + botScopes.length === 0) {
+    throw new Error(`Scope profile "${name}" must define a non-empty scopes or botScopes array`);
+  }
+
+  const disallowed = [
+    ...scopes.filter(scope => !ALLOWED_USER_SCOPES[scope]),
+    ...botScopes.filter(scope => !ALLOWED_BOT_SCOPES[scope]).map(scope => `${scope} (bot)`)
+  ];
+  if (disallowed.length > 0) {
+    throw new Error(`Scope profile "${name}" requests scopes that are not allowed: ${disallowed.join(', ')}`);
+  }
+
+  return {
+    name,
+    label: definition.label || name,
+    description: definition.description || '',
+    scopes: [...new Set(scopes)],
+    botScopes: [...new Set(botScopes)]
+  };
+}
+
+/**
+ * Load and validate the scope profiles for this deployment.
+ * Throws if a profile requests a scope outside ALLOWED_USER_SCOPES or ALLOWED_BOT_SCOPES.
+ */
+export function loadScopeProfiles(env = process.env) {
+  const custom = readCustomProfiles(env);
+  if (custom !== null && (typeof custom !== 'object' || Array.isArray(custom) || Object.keys(custom).length === 0)) {
+    throw new Error('Custom scope profiles must be a non-empty JSON object of named profiles');
+  }
+
+  const definitions = custom || DEFAULT_SCOPE_PROFILES;
+  const profiles = {};
+
+  for (const [name, definition] of Object.entries(definitions)) {
+    profiles[name] = normalizeProfile(name, definition);
+  }
+
+  const defaultProfile = env.DEFAULT_SCOPE_PROFILE || (custom ? Object.keys(profiles)[0] : DEFAULT_SCOPE_PROFILE);
+  if (!Object.hasOwn(profiles, defaultProfile)) {
+    throw new Error(`DEFAULT_SCOPE_PROFILE "${defaultProfile}" does not match any scope profile`);
+  }
+
+  return { profiles, defaultProfile };
+}
+
+// Look up a profile by name, falling back to the default when none was given
+export function resolveScopeProfile(registry, name) {
+  if (!name) return registry.profiles[registry.defaultProfile];
+  return Object.hasOwn(registry.profiles, name) ? registry.profiles[name] : null;
+}
+
+export function describeScope(scope) {
+  return ALLOWED_USER_SCOPES[scope] || scope;
+}
+
+export function describeBotScope(scope) {
+  return ALLOWED_BOT_SCOPES[scope] || scope;
+}
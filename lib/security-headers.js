@@ -0,0 +1,73 @@
+/**
+ * Security headers for every response
+ * Pages get a strict Content-Security-Policy: a script only runs when it carries the
+ * per-request nonce, so markup that slipped past escaping can't execute. Responses are
+ * never cached (token pages must not outlive the tab) and never send a Referer, which
+ * would leak the callback's code and state to whatever the page links to.
+ *
+ *   CORS_ALLOWED_ORIGINS   comma-separated origins whose pages may call the API
+ *                          (none by default; the generator's own pages need no CORS)
+ */
+import crypto from 'crypto';
+
+export const SECURITY_HEADERS = {
+  'X-Content-Type-Options': 'nosniff',
+  'X-Frame-Options': 'DENY',
+  'Referrer-Policy': 'no-referrer',
+  'Cache-Control': 'no-store'
+};
+
+// Only sent when served over https; subdomains are left alone, they may not be ours
+export const HSTS = 'max-age=31536000';
+
+export function createCspNonce() {
+  return crypto.randomBytes(16).toString('base64');
+}
+
+/**
+ * CSP for a page rendered with `nonce`. formActions lists the other origins a form
+ * may submit or redirect to: the Slack authorize page, or the CLI's loopback port.
+ */
+export function contentSecurityPolicy(nonce, { formActions = [] } = {}) {
+  return [
+    `default-src 'none'`,
+    `script-src 'nonce-${nonce}'`,
+    // The pages use style attributes throughout; CSS can't run script
+    `style-src 'unsafe-inline'`,
+    `connect-src 'self'`,
+    [`form-action 'self'`, ...formActions].join(' '),
+    `frame-ancestors 'none'`,
+    `base-uri 'none'`
+  ].join('; ');
+}
+
+export function parseCorsOrigins(env = process.env) {
+  return (env.CORS_ALLOWED_ORIGINS || '')
+    .split(',')
+    .map(origin => origin.trim())
+    .filter(Boolean)
+    .map((origin) => {
+      let parsed = null;
+      try {
+        parsed = new URL(origin);
+      } catch {
+        // reported below
+      }
+      if (parsed?.origin !== origin) {
+        throw new Error(`CORS_ALLOWED_ORIGINS entries must be origins like https://app.example.com, got "${origin}"`);
+      }
+      return origin;
+    });
+}
+
+// CORS headers for a request sent from `origin`; none unless it is on the allow-list
+export function corsHeaders(allowedOrigins, origin) {
+  if (!allowedOrigins.length) return {};
+  if (!allowedOrigins.includes(origin)) return { Vary: 'Origin' };
+  return {
+    'Access-Control-Allow-Origin': origin,
+    'Access-Control-Allow-Methods': 'GET, POST',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    Vary: 'Origin'
+  };
+}
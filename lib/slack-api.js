@@ -0,0 +1,73 @@
+/**
+ * Minimal Slack Web API client for calls made with a user's own token
+ */
+
+export const DEFAULT_SLACK_API_BASE = 'https://slack.com';
+
+/**
+ * Where Slack lives: https://slack.com, or a mock (lib/mock-slack.js) via SLACK_API_BASE.
+ * Web API methods are under <base>/api and the authorize page under <base>/oauth/v2.
+ */
+export function getSlackApiBase(env = process.env) {
+  return (env.SLACK_API_BASE || DEFAULT_SLACK_API_BASE).replace(/\/+$/, '');
+}
+
+// Accepts user, bot, app and rotated (xoxe.) tokens; anything else is never sent to Slack
+const TOKEN_PATTERN = /^(xoxe\.)?xox[a-z]-[A-Za-z0-9-]+$/;
+
+export function isSlackToken(token) {
+  return typeof token === 'string' && TOKEN_PATTERN.test(token);
+}
+
+/**
+ * Call a Web API method with a bearer token.
+ * Resolves with { data, headers }; throws on HTTP errors and ok:false responses.
+ */
+export async function callSlackApi(method, token, params = {}, { apiBase = getSlackApiBase() } = {}) {
+  const response = await fetch(`${apiBase}/api/${method}`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/x-www-form-urlencoded',
+    },
+    body: new URLSearchParams(params),
+  });
+
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+
+  const data = await response.json();
+  if (!data.ok) {
+    const error = new Error(`${method} failed: ${data.error}`);
+    error.slackError = data.error;
+    throw error;
+  }
+
+  return { data, headers: response.headers };
+}
+
+/**
+ * Describe a token with auth.test. Granted scopes come from the x-oauth-scopes header.
+ */
+export async function inspectToken(token, options) {
+  const { data, headers } = await callSlackApi('auth.test', token, {}, options);
+  const scopeHeader = headers.get('x-oauth-scopes') || '';
+
+  return {
+    user: { id: data.user_id, name: data.user },
+    team: { id: data.team_id, name: data.team, url: data.url },
+    enterprise: data.enterprise_id ? { id: data.enterprise_id } : null,
+    is_enterprise_install: !!data.is_enterprise_install,
+    bot_id: data.bot_id || null,
+    scopes: scopeHeader.split(',').map(scope => scope.trim()).filter(Boolean)
+  };
+}
+
+/**
+ * Revoke a token with auth.revoke. Slack reports revoked: true once it is gone.
+ */
+export async function revokeToken(token, options) {
+  const { data } = await callSlackApi('auth.revoke', token, {}, options);
+  return { revoked: !!data.revoked };
+}
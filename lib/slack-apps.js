@@ -0,0 +1,91 @@
+/**
+ * Several Slack apps served by one deployment
+ * SLACK_APPS (inline JSON) or SLACK_APPS_FILE (path to a JSON file) maps an app key
+ * to its credentials, scope profile and branding, e.g.
+ *   {"acme": {"clientId": "123.456", "clientSecret": "...",
+ *             "redirectUri": "https://tokens.example.com/auth/callback",
+ *             "profile": "search", "name": "Acme Tokens", "color": "#1264a3"}}
+ * /apps/acme is the app's home page and /auth/start/acme starts its flow. The key is
+ * kept with the state, so the callback exchanges the code with the same credentials;
+ * apps can share the deployment's usual /auth/callback as their redirect URI.
+ * Without a profile an app offers every scope profile.
+ */
+import fs from 'fs';
+import { checkRedirectUri } from './health.js';
+
+// App keys appear in paths and states
+export const APP_KEY_PATTERN = /^[a-z0-9][a-z0-9-]{0,31}$/;
+
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+function readAppDefinitions(env) {
+  let definitions = {};
+  if (env.SLACK_APPS) {
+    try {
+      definitions = JSON.parse(env.SLACK_APPS);
+    } catch (error) {
+      throw new Error(`SLACK_APPS is not valid JSON: ${error.message}`);
+    }
+  } else if (env.SLACK_APPS_FILE) {
+    try {
+      definitions = JSON.parse(fs.readFileSync(env.SLACK_APPS_FILE, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read SLACK_APPS_FILE (${env.SLACK_APPS_FILE}): ${error.message}`);
+    }
+  }
+
+  if (!definitions || typeof definitions !== 'object' || Array.isArray(definitions)) {
+    throw new Error('SLACK_APPS must be a JSON object of apps by key');
+  }
+  return definitions;
+}
+
+// Problems with one app definition, or [] when it is usable
+export function checkSlackApp(key, app, { scopeProfiles, usePkce = false }) {
+  const setting = `SLACK_APPS.${key}`;
+  if (!APP_KEY_PATTERN.test(key)) {
+    return [`SLACK_APPS key "${key}" must be 1-32 lower-case letters, digits and dashes`];
+  }
+  if (!app || typeof app !== 'object' || Array.isArray(app)) {
+    return [`${setting} must be an object`];
+  }
+
+  return [
+    ...(typeof app.clientId === 'string' && app.clientId ? [] : [`${setting}.clientId is not set`]),
+    ...(app.clientSecret || usePkce ? [] : [`${setting}.clientSecret is not set (or enable SLACK_USE_PKCE)`]),
+    ...checkRedirectUri(app.redirectUri, `${setting}.redirectUri`),
+    ...(app.profile === undefined || Object.hasOwn(scopeProfiles.profiles, app.profile)
+      ? []
+      : [`${setting}.profile "${app.profile}" does not match any scope profile`]),
+    ...(app.name === undefined || (typeof app.name === 'string' && app.name.trim())
+      ? []
+      : [`${setting}.name must be a non-empty string`]),
+    ...(app.color === undefined || COLOR_PATTERN.test(app.color)
+      ? []
+      : [`${setting}.color must be a hex color like #1264a3`])
+  ];
+}
+
+/**
+ * Load and validate the Slack apps by key ({} when none are configured).
+ * Throws with every problem found, also listed in error.problems.
+ */
+export function loadSlackApps(env = process.env, { scopeProfiles, usePkce = false }) {
+  const definitions = readAppDefinitions(env);
+
+  const problems = Object.entries(definitions)
+    .flatMap(([key, app]) => checkSlackApp(key, app, { scopeProfiles, usePkce }));
+  if (problems.length > 0) {
+    throw Object.assign(new Error(`Invalid SLACK_APPS: ${problems.join('; ')}`), { problems });
+  }
+
+  return Object.fromEntries(Object.entries(definitions).map(([key, app]) => [key, {
+    key,
+    name: app.name?.trim() || key,
+    clientId: app.clientId,
+    clientSecret: app.clientSecret || null,
+    redirectUri: app.redirectUri,
+    profile: app.profile || null,
+    color: app.color || null
+  }]));
+}
@@ -0,0 +1,159 @@
+/**
+ * Slack OAuth helpers shared by the Express server and the Vercel handler
+ */
+import { getSlackApiBase } from './slack-api.js';
+
+/**
+ * Build an oauth.v2.access form body, leaving out empty values.
+ * PKCE public clients have no client_secret, and only PKCE flows send a code_verifier.
+ */
+export function buildOAuthParams(params) {
+  const body = new URLSearchParams();
+  for (const [key, value] of Object.entries(params)) {
+    if (value) body.append(key, value);
+  }
+  return body;
+}
+
+/**
+ * Exchange a refresh token for a new access token (token rotation).
+ * Slack returns a new refresh token as well; the old one stops working.
+ */
+export async function refreshAccessToken(refreshToken, { clientId, clientSecret, apiBase = getSlackApiBase() }) {
+  const response = await fetch(`${apiBase}/api/oauth.v2.access`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+    },
+    body: buildOAuthParams({
+      client_id: clientId,
+      client_secret: clientSecret,
+      grant_type: 'refresh_token',
+      refresh_token: refreshToken,
+    }),
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`HTTP error! status: ${response.status} - ${errorText}`);
+  }
+
+  const data = await response.json();
+  if (!data.ok) {
+    const error = new Error(`Token refresh failed: ${data.error}`);
+    error.slackError = data.error;
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Pull the user token's rotation fields out of an oauth.v2.access response.
+ * Code exchanges nest them under authed_user; refresh responses may return them top-level.
+ */
+export function getRotationDetails(tokenData, issuedAt = Date.now()) {
+  // In a bot install the top-level token is the bot's, so user fields only come from authed_user
+  const isBotExchange = tokenData?.token_type === 'bot' && !!tokenData.authed_user;
+  const source = tokenData?.authed_user?.refresh_token || isBotExchange ? tokenData.authed_user : tokenData;
+  const expiresIn = Number(source?.expires_in) || null;
+
+  return {
+    accessToken: source?.access_token || tokenData?.authed_user?.access_token || null,
+    refreshToken: source?.refresh_token || null,
+    expiresIn,
+    expiresAt: expiresIn ? new Date(issuedAt + expiresIn * 1000).toISOString() : null
+  };
+}
+
+/**
+ * The xoxb- bot token from a code exchange that requested bot scopes, or null.
+ */
+export function getBotTokenDetails(tokenData, issuedAt = Date.now()) {
+  if (tokenData?.token_type !== 'bot' || !tokenData.access_token) return null;
+  const expiresIn = Number(tokenData.expires_in) || null;
+
+  return {
+    accessToken: tokenData.access_token,
+    botUserId: tokenData.bot_user_id || null,
+    scopes: (tokenData.scope || '').split(',').filter(Boolean),
+    refreshToken: tokenData.refresh_token || null,
+    expiresIn,
+    expiresAt: expiresIn ? new Date(issuedAt + expiresIn * 1000).toISOString() : null
+  };
+}
+
+/**
+ * Where a token was issued. Org-wide (Enterprise Grid) installs have no team,
+ * only an enterprise; workspace installs inside a Grid org have both.
+ */
+export function getWorkspaceDetails(tokenData) {
+  const team = tokenData?.team?.id ? { id: tokenData.team.id, name: tokenData.team.name || null } : null;
+  const enterprise = tokenData?.enterprise?.id
+    ? { id: tokenData.enterprise.id, name: tokenData.enterprise.name || null }
+    : null;
+  const isEnterpriseInstall = !!tokenData?.is_enterprise_install;
+
+  let label = team?.name || team?.id || 'Unknown Team';
+  if (isEnterpriseInstall && enterprise) {
+    label = `${enterprise.name || enterprise.id} (org-wide)`;
+  } else if (enterprise) {
+    label = `${label} in ${enterprise.name || enterprise.id}`;
+  }
+
+  return { team, enterprise, isEnterpriseInstall, label };
+}
+
+// JSON body returned by the /auth/refresh endpoints
+export function describeRefreshedToken(data) {
+  const rotation = getRotationDetails(data);
+
+  return {
+    ok: true,
+    access_token: rotation.accessToken,
+    refresh_token: rotation.refreshToken,
+    expires_in: rotation.expiresIn,
+    expires_at: rotation.expiresAt,
+    token_type: data.token_type || data.authed_user?.token_type || null,
+    scope: data.scope || data.authed_user?.scope || null,
+    user_id: data.authed_user?.id || data.user_id || null,
+    team: data.team || null,
+    enterprise: data.enterprise || null,
+    is_enterprise_install: !!data.is_enterprise_install
+  };
+}
+
+/**
+ * Machine-readable description of a freshly issued token, used by the JSON
+ * and loopback response modes of /auth/callback.
+ */
+export function describeIssuedToken(tokenData, stateData = {}) {
+  const rotation = getRotationDetails(tokenData);
+  const authedUser = tokenData?.authed_user || {};
+  const workspace = getWorkspaceDetails(tokenData);
+  const bot = getBotTokenDetails(tokenData);
+
+  return {
+    ok: true,
+    access_token: rotation.accessToken,
+    token_type: rotation.accessToken ? authedUser.token_type || 'user' : null,
+    user_id: authedUser.id || null,
+    user_name: authedUser.name || stateData.user_name || null,
+    team: workspace.team,
+    enterprise: workspace.enterprise,
+    is_enterprise_install: workspace.isEnterpriseInstall,
+    scopes: (authedUser.scope || '').split(',').filter(Boolean),
+    profile: stateData.profile || null,
+    refresh_token: rotation.refreshToken,
+    expires_in: rotation.expiresIn,
+    expires_at: rotation.expiresAt,
+    bot: bot && {
+      access_token: bot.accessToken,
+      bot_user_id: bot.botUserId,
+      scopes: bot.scopes,
+      refresh_token: bot.refreshToken,
+      expires_in: bot.expiresIn,
+      expires_at: bot.expiresAt
+    }
+  };
+}
@@ -0,0 +1,85 @@
+/**
+ * Browser binding for OAuth states
+ * /auth/start gives the browser a signed, HttpOnly, SameSite=Lax session cookie
+ * and stores a hash of its id with the state; /auth/callback only accepts a state
+ * whose hash matches the cookie the browser sends back. A state lifted from a
+ * link, a log or another browser is useless on its own (login CSRF, callback swapping).
+ *
+ * The cookie is signed with COOKIE_SECRET, falling back to STATE_SECRET; without
+ * either a per-process key is used, which is fine for a single instance.
+ */
+import crypto from 'crypto';
+
+export const SESSION_COOKIE_NAME = 'slack_oauth_session';
+
+function hashSession(id) {
+  return crypto.createHash('sha256').update(id).digest('base64url');
+}
+
+// Value of one cookie from a Cookie header, or null
+export function readCookie(header, name) {
+  for (const part of (header || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index !== -1 && part.slice(0, index).trim() === name) {
+      return part.slice(index + 1).trim();
+    }
+  }
+  return null;
+}
+
+export class StateCookie {
+  constructor({ secret } = {}) {
+    const base = secret || crypto.randomBytes(32);
+    this.key = crypto.createHmac('sha256', base).update('state-cookie').digest();
+  }
+
+  sign(id) {
+    return crypto.createHmac('sha256', this.key).update(id).digest('base64url');
+  }
+
+  // The session id from a request's cookie, or null when missing or not signed by us
+  readSession(headers = {}) {
+    const value = readCookie(headers.cookie, SESSION_COOKIE_NAME);
+    const [id, signature, extra] = (value || '').split('.');
+    if (!id || !signature || extra !== undefined) return null;
+
+    const expected = Buffer.from(this.sign(id));
+    const actual = Buffer.from(signature);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual) ? id : null;
+  }
+
+  /**
+   * Reuse the browser's session (so flows in several tabs all stay valid) or start one.
+   * Returns the hash to store with the state and the Set-Cookie header to send.
+   */
+  startSession(headers, { redirectUri, maxAge }) {
+    const id = this.readSession(headers) || crypto.randomBytes(24).toString('base64url');
+    const secure = redirectUri?.startsWith('https:');
+
+    return {
+      hash: hashSession(id),
+      setCookie: [
+        `${SESSION_COOKIE_NAME}=${id}.${this.sign(id)}`,
+        'Path=/',
+        `Max-Age=${Math.ceil(maxAge / 1000)}`,
+        'HttpOnly',
+        'SameSite=Lax',
+        ...(secure ? ['Secure'] : [])
+      ].join('; ')
+    };
+  }
+
+  // Whether the request comes from the browser the state was issued to
+  matches(headers, sessionHash) {
+    const id = this.readSession(headers);
+    if (!id || typeof sessionHash !== 'string') return false;
+
+    const expected = Buffer.from(sessionHash);
+    const actual = Buffer.from(hashSession(id));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+}
+
+export function createStateCookie(env = process.env) {
+  return new StateCookie({ secret: env.COOKIE_SECRET || env.STATE_SECRET });
+}
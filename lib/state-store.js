@@ -0,0 +1,280 @@
+/**
+ * OAuth state stores
+ * Every store implements the same async interface:
+ *   create(data) -> state, get(state) -> data | null, delete(state),
+ *   consume(state) -> data | null (get and delete in one step; a state is only ever consumed once),
+ *   cleanup() -> number of expired states removed, size() -> count | null
+ *
+ * Pick a backend with STATE_STORE=memory|file|signed. When unset, the signed
+ * backend is used if STATE_SECRET is present, otherwise in-memory storage.
+ * The memory and file stores hold at most MAX_PENDING_STATES (default 10000)
+ * states and evict the least recently used (file: oldest) one to make room.
+ */
+import crypto from 'crypto';
+import os from 'os';
+import path from 'path';
+import { JsonFile } from './json-file.js';
+
+export const DEFAULT_STATE_TTL = 10 * 60 * 1000;
+export const DEFAULT_MAX_STATES = 10000;
+
+function isExpired(entry, ttl, now = Date.now()) {
+  return now - entry.timestamp > ttl;
+}
+
+// Keeps states in process memory; lost on restart and not shared between instances
+export class MemoryStateStore {
+  constructor({ ttl = DEFAULT_STATE_TTL, maxStates = DEFAULT_MAX_STATES } = {}) {
+    this.ttl = ttl;
+    this.maxStates = maxStates;
+    this.states = new Map();
+  }
+
+  async create(data) {
+    const state = crypto.randomBytes(16).toString('hex');
+    // The Map is kept in use order, so the first key is the least recently used
+    while (this.states.size >= this.maxStates) {
+      this.states.delete(this.states.keys().next().value);
+    }
+    this.states.set(state, { ...data, timestamp: Date.now() });
+    return state;
+  }
+
+  async get(state) {
+    const entry = this.states.get(state);
+    if (!entry) return null;
+    if (isExpired(entry, this.ttl)) {
+      this.states.delete(state);
+      return null;
+    }
+    this.states.delete(state);
+    this.states.set(state, entry);
+    return entry;
+  }
+
+  async delete(state) {
+    this.states.delete(state);
+  }
+
+  // No await between the read and the delete, so concurrent callbacks can't both get the entry
+  async consume(state) {
+    const entry = this.states.get(state);
+    this.states.delete(state);
+    return entry && !isExpired(entry, this.ttl) ? entry : null;
+  }
+
+  async cleanup() {
+    const now = Date.now();
+    let cleaned = 0;
+    for (const [state, entry] of this.states.entries()) {
+      if (isExpired(entry, this.ttl, now)) {
+        this.states.delete(state);
+        cleaned++;
+      }
+    }
+    return cleaned;
+  }
+
+  async size() {
+    return this.states.size;
+  }
+}
+
+// Persists states to a JSON file so they survive restarts of a single instance
+export class FileStateStore {
+  constructor({ file, ttl = DEFAULT_STATE_TTL, maxStates = DEFAULT_MAX_STATES }) {
+    this.json = new JsonFile(file);
+    this.ttl = ttl;
+    this.maxStates = maxStates;
+  }
+
+  withStates(fn) {
+    return this.json.update(fn);
+  }
+
+  create(data) {
+    return this.withStates((states) => {
+      const state = crypto.randomBytes(16).toString('hex');
+      // Keys keep insertion order; reads don't rewrite the file, so the oldest states go first
+      const keys = Object.keys(states);
+      for (const oldest of keys.slice(0, Math.max(0, keys.length - this.maxStates + 1))) {
+        delete states[oldest];
+      }
+      states[state] = { ...data, timestamp: Date.now() };
+      return { value: state, changed: true };
+    });
+  }
+
+  get(state) {
+    return this.withStates((states) => {
+      const entry = Object.hasOwn(states, state) ? states[state] : null;
+      if (!entry) return { value: null, changed: false };
+      if (isExpired(entry, this.ttl)) {
+        delete states[state];
+        return { value: null, changed: true };
+      }
+      return { value: entry, changed: false };
+    });
+  }
+
+  delete(state) {
+    return this.withStates((states) => {
+      const changed = Object.hasOwn(states, state);
+      delete states[state];
+      return { value: undefined, changed };
+    });
+  }
+
+  // Read and removed under the same lock, so two callbacks can't both get the entry
+  consume(state) {
+    return this.withStates((states) => {
+      if (!Object.hasOwn(states, state)) return { value: null, changed: false };
+      const entry = states[state];
+      delete states[state];
+      return { value: isExpired(entry, this.ttl) ? null : entry, changed: true };
+    });
+  }
+
+  cleanup() {
+    return this.withStates((states) => {
+      const now = Date.now();
+      let cleaned = 0;
+      for (const [state, entry] of Object.entries(states)) {
+        if (isExpired(entry, this.ttl, now)) {
+          delete states[state];
+          cleaned++;
+        }
+      }
+      return { value: cleaned, changed: cleaned > 0 };
+    });
+  }
+
+  size() {
+    return this.withStates(states => ({ value: Object.keys(states).length, changed: false }));
+  }
+}
+
+// Stateless: the state value itself carries the data, signed with HMAC-SHA256.
+// The payload is also encrypted because it can hold a PKCE code verifier.
+// Consumed nonces are remembered until their state expires so a state can't be
+// replayed; that memory is per process, so on several instances it is best-effort.
+export class SignedStateStore {
+  constructor({ secret, ttl = DEFAULT_STATE_TTL, maxStates = DEFAULT_MAX_STATES }) {
+    if (!secret) {
+      throw new Error('SignedStateStore requires a secret (set STATE_SECRET)');
+    }
+    this.secret = secret;
+    this.encryptionKey = crypto.createHash('sha256').update(`state-encryption:${secret}`).digest();
+    this.ttl = ttl;
+    this.maxStates = maxStates;
+    // nonce -> state timestamp, oldest first
+    this.consumed = new Map();
+  }
+
+  seal(entry) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.encryptionKey, iv);
+    const ciphertext = Buffer.concat([cipher.update(JSON.stringify(entry), 'utf8'), cipher.final()]);
+    return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64url');
+  }
+
+  unseal(payload) {
+    const buffer = Buffer.from(payload, 'base64url');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.encryptionKey, buffer.subarray(0, 12));
+    decipher.setAuthTag(buffer.subarray(12, 28));
+    const plaintext = Buffer.concat([decipher.update(buffer.subarray(28)), decipher.final()]);
+    return JSON.parse(plaintext.toString('utf8'));
+  }
+
+  sign(payload) {
+    return crypto.createHmac('sha256', this.secret).update(payload).digest('base64url');
+  }
+
+  async create(data) {
+    const entry = { ...data, timestamp: Date.now(), nonce: crypto.randomBytes(8).toString('hex') };
+    const payload = this.seal(entry);
+    return `${payload}.${this.sign(payload)}`;
+  }
+
+  async get(state) {
+    return this.open(state);
+  }
+
+  // The entry a state carries if it is authentic, unexpired and not yet consumed
+  open(state) {
+    if (typeof state !== 'string') return null;
+
+    const [payload, signature, extra] = state.split('.');
+    if (!payload || !signature || extra !== undefined) return null;
+
+    const expected = Buffer.from(this.sign(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    let entry;
+    try {
+      entry = this.unseal(payload);
+    } catch {
+      return null;
+    }
+    if (isExpired(entry, this.ttl) || this.consumed.has(entry.nonce)) return null;
+    return entry;
+  }
+
+  async delete(state) {
+    await this.consume(state);
+  }
+
+  // Checked and marked synchronously, so concurrent callbacks can't both get the entry
+  async consume(state) {
+    const entry = this.open(state);
+    if (!entry) return null;
+
+    // Past the cap, forget the oldest nonce; it expires first anyway
+    if (this.consumed.size >= this.maxStates) {
+      this.consumed.delete(this.consumed.keys().next().value);
+    }
+    this.consumed.set(entry.nonce, entry.timestamp);
+    return entry;
+  }
+
+  // Only consumed nonces are kept, until the state they belonged to has expired
+  async cleanup() {
+    const now = Date.now();
+    for (const [nonce, timestamp] of this.consumed) {
+      if (isExpired({ timestamp }, this.ttl, now)) this.consumed.delete(nonce);
+    }
+    return 0;
+  }
+
+  async size() {
+    return null;
+  }
+}
+
+export function createStateStore(env = process.env) {
+  const ttl = env.STATE_TTL_SECONDS ? Number(env.STATE_TTL_SECONDS) * 1000 : DEFAULT_STATE_TTL;
+  if (!(ttl > 0)) {
+    throw new Error(`STATE_TTL_SECONDS must be a positive number, got "${env.STATE_TTL_SECONDS}"`);
+  }
+
+  const maxStates = env.MAX_PENDING_STATES ? Number(env.MAX_PENDING_STATES) : DEFAULT_MAX_STATES;
+  if (!Number.isInteger(maxStates) || maxStates < 1) {
+    throw new Error(`MAX_PENDING_STATES must be a positive integer, got "${env.MAX_PENDING_STATES}"`);
+  }
+
+  const backend = env.STATE_STORE || (env.STATE_SECRET ? 'signed' : 'memory');
+
+  switch (backend) {
+    case 'memory':
+      return new MemoryStateStore({ ttl, maxStates });
+    case 'file':
+      return new FileStateStore({ file: env.STATE_STORE_FILE || path.join(os.tmpdir(), 'slack-oauth-states.json'), ttl, maxStates });
+    case 'signed':
+      return new SignedStateStore({ secret: env.STATE_SECRET, ttl, maxStates });
+    default:
+      throw new Error(`Unknown STATE_STORE "${backend}" (expected memory, file or signed)`);
+  }
+}
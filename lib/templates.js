@@ -0,0 +1,48 @@
+/**
+ * Tiny HTML templating with auto-escaping
+ * Every value interpolated into an html`` template is escaped unless it is itself
+ * the result of html`` (or explicitly marked with raw()). Arrays are rendered item by item.
+ */
+
+const ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  '\'': '&#39;',
+  '`': '&#96;'
+};
+
+export class SafeHtml {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+export function escapeHtml(value) {
+  return String(value).replace(/[&<>"'`]/g, char => ESCAPES[char]);
+}
+
+// Mark a string as trusted markup; never pass user or Slack supplied values here
+export function raw(value) {
+  return new SafeHtml(String(value));
+}
+
+function render(value) {
+  if (value instanceof SafeHtml) return value.value;
+  if (Array.isArray(value)) return value.map(render).join('');
+  if (value === null || value === undefined || value === false) return '';
+  return escapeHtml(value);
+}
+
+export function html(strings, ...values) {
+  let output = strings[0];
+  values.forEach((value, index) => {
+    output += render(value) + strings[index + 1];
+  });
+  return new SafeHtml(output);
+}
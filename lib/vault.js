@@ -0,0 +1,142 @@
+/**
+ * Optional encrypted token vault (TOKEN_VAULT=true)
+ * Instead of showing the token right away, the callback stores it encrypted at
+ * rest (AES-256-GCM, key from ENCRYPTION_KEY) and hands out a single-use claim
+ * code. Records expire after TOKEN_VAULT_TTL_SECONDS and are deleted on first read.
+ * Set TOKENS_FILE to keep records on disk; otherwise they live in memory.
+ */
+import crypto from 'crypto';
+import { JsonFile } from './json-file.js';
+
+export const DEFAULT_VAULT_TTL = 10 * 60 * 1000;
+
+// Same update(fn) contract as JsonFile, for deployments without a TOKENS_FILE
+class MemoryRecords {
+  constructor() {
+    this.data = {};
+  }
+
+  async update(fn) {
+    const { value } = await fn(this.data);
+    return value;
+  }
+}
+
+/**
+ * Accept a 32-byte key as 64 hex characters or base64.
+ */
+export function parseEncryptionKey(value) {
+  const trimmed = (value || '').trim();
+  const key = /^[0-9a-fA-F]{64}$/.test(trimmed)
+    ? Buffer.from(trimmed, 'hex')
+    : Buffer.from(trimmed, 'base64');
+
+  if (key.length !== 32) {
+    throw new Error('ENCRYPTION_KEY must be 32 bytes, as 64 hex characters or base64');
+  }
+  return key;
+}
+
+// Records are keyed by a hash of the claim code, so the file alone can't be used to claim them
+function recordId(code) {
+  return crypto.createHash('sha256').update(code).digest('hex');
+}
+
+export class TokenVault {
+  constructor({ key, ttl = DEFAULT_VAULT_TTL, file = null }) {
+    this.key = key;
+    this.ttl = ttl;
+    this.records = file ? new JsonFile(file) : new MemoryRecords();
+  }
+
+  encrypt(id, value) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.key, iv);
+    cipher.setAAD(Buffer.from(id));
+    const ciphertext = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+    return {
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      ciphertext: ciphertext.toString('base64')
+    };
+  }
+
+  decrypt(id, record) {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.key, Buffer.from(record.iv, 'base64'));
+    decipher.setAAD(Buffer.from(id));
+    decipher.setAuthTag(Buffer.from(record.tag, 'base64'));
+    const plaintext = Buffer.concat([decipher.update(Buffer.from(record.ciphertext, 'base64')), decipher.final()]);
+    return JSON.parse(plaintext.toString('utf8'));
+  }
+
+  /**
+   * Store a value and return { code, expiresAt }. The code is the only way to read it back;
+   * callers that already have a unique, unguessable id can pass it as the code.
+   */
+  deposit(value, { code = crypto.randomBytes(24).toString('base64url') } = {}) {
+    const id = recordId(code);
+    const expiresAt = Date.now() + this.ttl;
+
+    return this.records.update((records) => {
+      records[id] = { ...this.encrypt(id, value), expiresAt };
+      return { value: { code, expiresAt: new Date(expiresAt).toISOString() }, changed: true };
+    });
+  }
+
+  /**
+   * Read and delete a value. Resolves with null for unknown, expired or already claimed codes.
+   */
+  claim(code) {
+    if (typeof code !== 'string' || !code) return Promise.resolve(null);
+    const id = recordId(code);
+
+    return this.records.update((records) => {
+      const record = Object.hasOwn(records, id) ? records[id] : null;
+      if (!record) return { value: null, changed: false };
+
+      // Delete before decrypting: a record is never readable twice, even if decryption fails
+      delete records[id];
+      if (record.expiresAt < Date.now()) return { value: null, changed: true };
+
+      try {
+        return { value: this.decrypt(id, record), changed: true };
+      } catch {
+        return { value: null, changed: true };
+      }
+    });
+  }
+
+  cleanup() {
+    return this.records.update((records) => {
+      const now = Date.now();
+      let cleaned = 0;
+      for (const [id, record] of Object.entries(records)) {
+        if (record.expiresAt < now) {
+          delete records[id];
+          cleaned++;
+        }
+      }
+      return { value: cleaned, changed: cleaned > 0 };
+    });
+  }
+}
+
+// Returns null unless the vault was opted into
+export function createTokenVault(env = process.env) {
+  if (env.TOKEN_VAULT !== 'true') return null;
+
+  if (!env.ENCRYPTION_KEY) {
+    throw new Error('TOKEN_VAULT=true requires ENCRYPTION_KEY');
+  }
+
+  const ttl = env.TOKEN_VAULT_TTL_SECONDS ? Number(env.TOKEN_VAULT_TTL_SECONDS) * 1000 : DEFAULT_VAULT_TTL;
+  if (!(ttl > 0)) {
+    throw new Error(`TOKEN_VAULT_TTL_SECONDS must be a positive number, got "${env.TOKEN_VAULT_TTL_SECONDS}"`);
+  }
+
+  return new TokenVault({
+    key: parseEncryptionKey(env.ENCRYPTION_KEY),
+    ttl,
+    file: env.TOKENS_FILE || null
+  });
+}
@@ -0,0 +1,225 @@
+#!/usr/bin/env node
+
+/**
+ * Slack Token CLI
+ * Mints a user token from the terminal without deploying the web app.
+ *
+ * Local mode (default): starts the UserTokenGenerator on 127.0.0.1, opens
+ * /auth/start in the browser and waits for /auth/callback, then shuts down.
+ * Remote mode (--server): uses a deployed generator and receives the token on a
+ * one-shot 127.0.0.1 listener (response_mode=loopback).
+ */
+import fs from 'fs/promises';
+import { parseArgs } from 'util';
+import { startLoopbackListener, createLoopbackNonce, openBrowser } from './lib/loopback.js';
+import { describeIssuedToken } from './lib/slack-oauth.js';
+import { Logger } from './lib/logger.js';
+import { validateConfig, formatProblems } from './lib/config.js';
+import { SecretsFileSink } from './lib/delivery.js';
+
+const OUTPUTS = ['stdout', 'env', 'json'];
+
+const USAGE = `Usage: slack-token [options]
+
+Options:
+  --profile <name>    Scope profile to request (defaults to DEFAULT_SCOPE_PROFILE)
+  --org               Org-wide Enterprise Grid install (needs SLACK_ENTERPRISE_ID on the server)
+  --output <kind>     stdout (token only; the bot token for bot-only profiles), env (write
+                      a dotenv file) or json (default: stdout)
+  --file <path>       Where to write env/json output (env defaults to .env, json to stdout)
+  --env-var <name>    Variable name for env output (default: SLACK_USER_TOKEN)
+  --bot-env-var <name>
+                      Variable name for the bot token, if any (default: SLACK_BOT_TOKEN)
+  --port <number>     Local port to listen on; must match a redirect URL registered
+                      for the Slack app (default: a free ephemeral port)
+  --server <url>      Use a deployed token generator instead of running one locally
+  --timeout <secs>    How long to wait for the browser (default: 300)
+  --no-browser        Only print the authorization URL
+  --help              Show this help`;
+
+// Progress goes to stderr so stdout only ever carries the token
+function log(...args) {
+  console.error(...args);
+}
+
+function print(text) {
+  process.stdout.write(`${text}\n`);
+}
+
+function promptAuthorization(url, { browser }) {
+  log('🔐 Authorize in your browser:');
+  log(`   ${url}`);
+  if (browser) openBrowser(url);
+}
+
+async function runLocal(options) {
+  // Imported lazily so remote mode doesn't need the Express dependency or .env
+  const { UserTokenGenerator } = await import('./server.js');
+
+  // The redirect URI is always the local listener, whatever SLACK_REDIRECT_URI says
+  const problems = validateConfig({ ...process.env, SLACK_REDIRECT_URI: '' }, { server: true });
+  if (problems.length > 0) {
+    throw new Error(formatProblems(problems));
+  }
+
+  let settle;
+  const result = new Promise((resolve, reject) => {
+    settle = { resolve, reject };
+  });
+
+  const generator = new UserTokenGenerator({
+    port: options.port,
+    environment: 'cli',
+    // Server logs stay off stdout, which is reserved for the token, and quiet unless asked for
+    logger: new Logger({ level: process.env.LOG_LEVEL || 'warn', out: process.stderr }),
+    onTokenIssued: (tokenData, stateData) => settle.resolve(describeIssuedToken(tokenData, stateData)),
+    // Only callbacks for a flow started in this browser carry its state; a stray
+    // /auth/callback (no or someone else's state) must not end the run
+    onCallbackError: ({ message }, stateData) => {
+      if (stateData) {
+        settle.reject(new Error(message));
+      } else {
+        log(`⚠️  Ignored a callback that does not belong to this sign-in: ${message}`);
+      }
+    }
+  });
+
+  const server = await new Promise((resolve, reject) => {
+    const listener = generator.app.listen(options.port, '127.0.0.1', () => resolve(listener));
+    listener.once('error', reject);
+  });
+
+  const { port } = server.address();
+  generator.core.redirectUri = `http://localhost:${port}/auth/callback`;
+  log(`🌐 Local generator listening on http://localhost:${port} (redirect URL: ${generator.core.redirectUri})`);
+
+  const startUrl = new URL(`http://localhost:${port}/auth/start`);
+  if (options.profile) startUrl.searchParams.set('profile', options.profile);
+  if (options.org) startUrl.searchParams.set('install', 'org');
+
+  promptAuthorization(startUrl.href, options);
+  const timer = setTimeout(() => {
+    settle.reject(new Error(`Timed out after ${options.timeout / 1000}s waiting for the browser`));
+  }, options.timeout);
+
+  try {
+    return await result;
+  } finally {
+    clearTimeout(timer);
+    // Give the browser a moment to receive the success page before closing
+    setTimeout(() => {
+      server.close();
+      server.closeAllConnections?.();
+    }, 1000).unref();
+  }
+}
+
+async function runRemote(options) {
+  const nonce = createLoopbackNonce();
+  const listener = await startLoopbackListener({ nonce, timeout: options.timeout });
+
+  const startUrl = new URL('/auth/start', options.server);
+  startUrl.searchParams.set('response_mode', 'loopback');
+  startUrl.searchParams.set('loopback_port', String(listener.port));
+  startUrl.searchParams.set('loopback_nonce', nonce);
+  if (options.profile) startUrl.searchParams.set('profile', options.profile);
+  if (options.org) startUrl.searchParams.set('install', 'org');
+
+  promptAuthorization(startUrl.href, options);
+
+  const payload = await listener.result;
+  if (!payload.ok) {
+    throw new Error(payload.message || payload.error || 'Authorization failed');
+  }
+  return payload;
+}
+
+async function writeOutput(payload, options) {
+  if (options.output === 'stdout') {
+    print(payload.access_token || payload.bot?.access_token);
+    return;
+  }
+
+  if (options.output === 'json') {
+    const body = JSON.stringify(payload, null, 2);
+    if (!options.file) {
+      print(body);
+      return;
+    }
+    await fs.writeFile(options.file, `${body}\n`, { mode: 0o600 });
+    log(`💾 Token payload written to ${options.file}`);
+    return;
+  }
+
+  // Same writer as the server's DELIVERY_SECRETS_FILE integration
+  const sink = new SecretsFileSink({ file: options.file || '.env', userVar: options.envVar, botVar: options.botEnvVar });
+  log(`💾 ${await sink.deliver(payload)}`);
+}
+
+function parseOptions() {
+  const { values } = parseArgs({
+    options: {
+      profile: { type: 'string' },
+      org: { type: 'boolean', default: false },
+      output: { type: 'string', default: 'stdout' },
+      file: { type: 'string' },
+      'env-var': { type: 'string', default: 'SLACK_USER_TOKEN' },
+      'bot-env-var': { type: 'string', default: 'SLACK_BOT_TOKEN' },
+      port: { type: 'string', default: '0' },
+      server: { type: 'string' },
+      timeout: { type: 'string', default: '300' },
+      'no-browser': { type: 'boolean', default: false },
+      help: { type: 'boolean', default: false }
+    }
+  });
+
+  if (values.help) {
+    console.error(USAGE);
+    process.exit(0);
+  }
+
+  const port = Number(values.port);
+  const timeout = Number(values.timeout);
+  const problems = [];
+  if (!OUTPUTS.includes(values.output)) problems.push(`--output must be one of ${OUTPUTS.join(', ')}`);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) problems.push('--port must be a port number');
+  if (!(timeout > 0)) problems.push('--timeout must be a positive number of seconds');
+  for (const flag of ['env-var', 'bot-env-var']) {
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(values[flag])) problems.push(`--${flag} must be a valid variable name`);
+  }
+
+  if (problems.length > 0) {
+    console.error(problems.map(problem => `❌ ${problem}`).join('\n'));
+    console.error(`\n${USAGE}`);
+    process.exit(1);
+  }
+
+  return {
+    profile: values.profile,
+    org: values.org,
+    output: values.output,
+    file: values.file,
+    envVar: values['env-var'],
+    botEnvVar: values['bot-env-var'],
+    port,
+    server: values.server,
+    timeout: timeout * 1000,
+    browser: !values['no-browser']
+  };
+}
+
+async function main() {
+  const options = parseOptions();
+  const payload = options.server ? await runRemote(options) : await runLocal(options);
+
+  const workspace = payload.is_enterprise_install
+    ? `${payload.enterprise?.name || payload.enterprise?.id}, org-wide`
+    : payload.team?.name || 'Unknown Team';
+  log(`✅ Token generated for ${payload.user_name || payload.user_id} (${workspace})`);
+  await writeOutput(payload, options);
+}
+
+main().catch((error) => {
+  console.error('❌', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,45 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadAccessPolicy, checkAccess } from '../lib/access-policy.js';
+import { createCore, get, startFlow, stubSlack, restoreFetch } from './helpers.js';
+
+afterEach(restoreFetch);
+
+const tokenData = {
+  ok: true,
+  team: { id: 'T1', name: 'Acme' },
+  enterprise: null,
+  authed_user: { id: 'U1', scope: 'users:read', access_token: 'xoxp-1-policy' }
+};
+
+test('an empty policy allows everyone', () => {
+  assert.equal(checkAccess(loadAccessPolicy({}), tokenData), null);
+});
+
+test('deny-lists win over allow-lists', () => {
+  const policy = loadAccessPolicy({ ALLOWED_TEAM_IDS: 'T1, T2', DENIED_USER_IDS: 'U1' });
+  assert.equal(checkAccess(policy, tokenData).error, 'user_denied');
+});
+
+test('allow-lists reject ids that are missing or not listed', () => {
+  assert.equal(checkAccess(loadAccessPolicy({ ALLOWED_TEAM_IDS: 'T2' }), tokenData).error, 'team_not_allowed');
+  assert.equal(checkAccess(loadAccessPolicy({ ALLOWED_ENTERPRISE_IDS: 'E1' }), tokenData).error, 'enterprise_not_allowed');
+  assert.equal(checkAccess(loadAccessPolicy({ ALLOWED_USER_IDS: 'U1' }), tokenData), null);
+});
+
+test('a disallowed token is revoked and never shown', async () => {
+  const core = createCore({ env: { DENIED_TEAM_IDS: 'T1' } });
+  const { state, cookie } = await startFlow(core, { profile: 'mcp-full' });
+  const calls = stubSlack(url => (url.endsWith('auth.revoke') ? { ok: true, revoked: true } : tokenData));
+
+  const response = await get(core, '/auth/callback', { code: 'code', state }, { cookie });
+  assert.equal(response.status, 403);
+  assert.ok(response.body.includes('Acme (T1)'));
+  assert.ok(!response.body.includes('xoxp-1-policy'));
+  assert.deepEqual(calls.map(call => call.url), ['https://slack.com/api/oauth.v2.access', 'https://slack.com/api/auth.revoke']);
+});
+
+test('SLACK_TEAM_ID pins the workspace on the authorize URL', async () => {
+  const response = await get(createCore({ env: { SLACK_TEAM_ID: 'T1' } }), '/auth/start');
+  assert.equal(new URL(response.headers.Location).searchParams.get('team'), 'T1');
+});
@@ -0,0 +1,253 @@
+import { test, describe, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { TokenVault } from '../lib/vault.js';
+import { AuditLog } from '../lib/audit-log.js';
+import { createCsrfToken, createRevocationStore, toCsv } from '../lib/admin.js';
+import { MockSlack } from '../lib/mock-slack.js';
+import { createCore, request, callback, stubSlack, restoreFetch } from './helpers.js';
+
+const adminKey = 'admin-secret';
+const bearer = { authorization: `Bearer ${adminKey}` };
+
+afterEach(restoreFetch);
+
+async function createAdminCore({ revocation = true } = {}) {
+  const file = path.join(await fs.mkdtemp(path.join(os.tmpdir(), 'audit-')), 'audit.jsonl');
+  return createCore({
+    auditLog: new AuditLog({ file }),
+    adminKey,
+    revocationStore: revocation ? new TokenVault({ key: crypto.randomBytes(32) }) : null
+  });
+}
+
+// From a fixed client address, so the audit trail's ip can be checked
+function send(core, method, pathname, options = {}) {
+  return request(core, method, pathname, { ip: '203.0.113.7', ...options });
+}
+
+async function issueToken(core, { userName = 'Ada', token = 'xoxp-1-issued' } = {}) {
+  const start = await send(core, 'GET', '/auth/start', { query: { user_id: 'emp-42', user_name: userName, profile: 'read-only' } });
+  const state = new URL(start.headers.Location).searchParams.get('state');
+  const cookie = start.headers['Set-Cookie'].split(';')[0];
+  stubSlack(() => ({
+    ok: true,
+    team: { id: 'T1', name: 'Acme' },
+    authed_user: { id: 'U1', scope: 'users:read,channels:read', access_token: token }
+  }));
+  const callback = await send(core, 'GET', '/auth/callback', { query: { code: 'code', state }, headers: { cookie } });
+  assert.equal(callback.status, 200);
+}
+
+test('/admin requires the admin key and is hidden when none is configured', async () => {
+  const core = await createAdminCore();
+
+  const anonymous = await send(core, 'GET', '/admin');
+  assert.equal(anonymous.status, 401);
+  assert.match(anonymous.headers['WWW-Authenticate'], /^Basic /);
+
+  const wrongKey = await send(core, 'GET', '/admin', { headers: { authorization: 'Bearer nope' } });
+  assert.equal(wrongKey.status, 401);
+
+  const basic = `Basic ${Buffer.from(`admin:${adminKey}`).toString('base64')}`;
+  assert.equal((await send(core, 'GET', '/admin', { headers: { authorization: basic } })).status, 200);
+
+  core.adminKey = undefined;
+  assert.equal((await send(core, 'GET', '/admin', { headers: bearer })).status, 404);
+});
+
+test('issued tokens are listed and exported without their values', async () => {
+  const core = await createAdminCore();
+  await issueToken(core);
+
+  const [event] = await core.auditLog.readAll();
+  assert.equal(event.type, 'token_issued');
+  assert.equal(event.slack_user_id, 'U1');
+  assert.equal(event.ip, '203.0.113.7');
+  assert.deepEqual(event.scopes, ['users:read', 'channels:read']);
+  assert.ok(!(await fs.readFile(core.auditLog.file, 'utf8')).includes('xoxp-1-issued'));
+
+  const dashboard = await send(core, 'GET', '/admin', { headers: bearer });
+  assert.ok(dashboard.body.includes('emp-42'));
+  assert.ok(dashboard.body.includes('203.0.113.7'));
+  assert.ok(!dashboard.body.includes('xoxp-1-issued'));
+
+  const filtered = await send(core, 'GET', '/admin', { headers: bearer, query: { team: 'globex' } });
+  assert.ok(filtered.body.includes('Showing 0 of 1'));
+
+  const csv = await send(core, 'GET', '/admin/export.csv', { headers: bearer, query: { user: 'ada' } });
+  assert.match(csv.headers['Content-Type'], /^text\/csv/);
+  const lines = csv.body.trim().split('\r\n');
+  assert.equal(lines.length, 2);
+  assert.ok(lines[1].includes('U1'));
+});
+
+test('CSV export neutralizes formulas and quotes separators', () => {
+  const csv = toCsv([{ id: '1', user_name: '=HYPERLINK("x")', team_name: 'Acme, Inc', scopes: ['a', 'b'] }]);
+  assert.ok(csv.includes(`"'=HYPERLINK(""x"")"`));
+  assert.ok(csv.includes('"Acme, Inc"'));
+});
+
+test('admins can revoke an issued token once, with a CSRF token', async () => {
+  const core = await createAdminCore();
+  await issueToken(core);
+  const [{ id }] = await core.auditLog.readAll();
+
+  const forged = await send(core, 'POST', '/admin/revoke', { headers: bearer, body: { id } });
+  assert.equal(forged.status, 403);
+
+  let revokedToken;
+  stubSlack((url, init) => {
+    revokedToken = init.headers.Authorization;
+    return { ok: true, revoked: true };
+  });
+  const csrf = createCsrfToken(adminKey);
+  const revoke = await send(core, 'POST', '/admin/revoke', { headers: bearer, body: { id, csrf } });
+  assert.equal(revoke.status, 303);
+  assert.equal(revoke.headers.Location, '/admin?notice=revoked');
+  assert.equal(revokedToken, 'Bearer xoxp-1-issued');
+
+  const [entry] = await core.auditLog.listIssued();
+  assert.ok(entry.revoked_at);
+  const events = await core.auditLog.readAll();
+  assert.equal(events[1].type, 'token_revoked');
+  assert.equal(events[1].target, id);
+
+  const dashboard = await send(core, 'GET', '/admin', { headers: bearer, query: { status: 'revoked' } });
+  assert.ok(dashboard.body.includes('Showing 1 of 1'));
+});
+
+test('only known notices are shown on the dashboard', async () => {
+  const core = await createAdminCore();
+  const known = await send(core, 'GET', '/admin', { headers: bearer, query: { notice: 'revoked' } });
+  assert.ok(known.body.includes('<div class="notice">✅ Token revoked with Slack</div>'));
+
+  for (const notice of ['constructor', 'toString', '__proto__', 'nope']) {
+    const dashboard = await send(core, 'GET', '/admin', { headers: bearer, query: { notice } });
+    assert.equal(dashboard.status, 200);
+    assert.ok(!dashboard.body.includes('native code'), notice);
+    assert.ok(!dashboard.body.includes('<div class="notice">'), notice);
+  }
+});
+
+test('a failed revoke keeps the token so it can be retried', async () => {
+  const core = await createAdminCore();
+  await issueToken(core);
+  const [{ id }] = await core.auditLog.readAll();
+  const csrf = createCsrfToken(adminKey);
+
+  globalThis.fetch = async () => { throw new Error('network down'); };
+  const failed = await send(core, 'POST', '/admin/revoke', { headers: bearer, body: { id, csrf } });
+  assert.equal(failed.headers.Location, '/admin?notice=failed');
+
+  stubSlack(() => ({ ok: true, revoked: true }));
+  const retried = await send(core, 'POST', '/admin/revoke', { headers: bearer, body: { id, csrf } });
+  assert.equal(retried.headers.Location, '/admin?notice=revoked');
+});
+
+describe('with token rotation', () => {
+  const mock = new MockSlack({ scenario: 'rotation' });
+  let server;
+  let apiBase;
+
+  before(async () => {
+    server = await mock.listen();
+    apiBase = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  // Issue an expiring token through the mock; returns its audit id and the JSON payload the user got
+  async function issueRotatingToken() {
+    const core = await createAdminCore();
+    core.apiBase = apiBase;
+    const start = await send(core, 'GET', '/auth/start', { query: { format: 'json' } });
+    const authorize = await fetch(start.headers.Location, { redirect: 'manual' });
+    const callbackUrl = new URL(authorize.headers.get('location'));
+    const issued = await send(core, 'GET', '/auth/callback', {
+      query: Object.fromEntries(callbackUrl.searchParams),
+      headers: { cookie: start.headers['Set-Cookie'].split(';')[0] }
+    });
+    const [{ id }] = await core.auditLog.readAll();
+    return { core, id, payload: JSON.parse(issued.body) };
+  }
+
+  test('an expired token is refreshed so the grant can still be revoked', async () => {
+    const { core, id, payload } = await issueRotatingToken();
+    mock.expireTokens();
+
+    const revoke = await send(core, 'POST', '/admin/revoke', { headers: bearer, body: { id, csrf: createCsrfToken(adminKey) } });
+    assert.equal(revoke.headers.Location, '/admin?notice=revoked');
+    const events = await core.auditLog.readAll();
+    assert.equal(events[1].type, 'token_revoked');
+    assert.equal(events[1].error, undefined);
+
+    // The refresh token the user was given died with the grant
+    const refresh = await send(core, 'POST', '/auth/refresh', { body: { refresh_token: payload.refresh_token } });
+    assert.equal(JSON.parse(refresh.body).error, 'invalid_refresh_token');
+  });
+
+  test('a token that expired after its holder refreshed it is not marked as revoked', async () => {
+    const { core, id, payload } = await issueRotatingToken();
+    const refreshed = await send(core, 'POST', '/auth/refresh', { body: { refresh_token: payload.refresh_token } });
+    assert.equal(refreshed.status, 200);
+    mock.expireTokens();
+
+    const revoke = await send(core, 'POST', '/admin/revoke', { headers: bearer, body: { id, csrf: createCsrfToken(adminKey) } });
+    assert.equal(revoke.headers.Location, '/admin?notice=expired');
+    const [entry] = await core.auditLog.listIssued();
+    assert.equal(entry.revoked_at, null);
+    assert.deepEqual((await core.auditLog.readAll()).map(event => event.type), ['token_issued']);
+
+    const dashboard = await send(core, 'GET', '/admin', { headers: bearer, query: { notice: 'expired' } });
+    assert.ok(dashboard.body.includes('has not been marked as revoked'));
+  });
+});
+
+test('revoke is unavailable without ADMIN_REVOCATION', async () => {
+  const core = await createAdminCore({ revocation: false });
+  await issueToken(core);
+
+  const dashboard = await send(core, 'GET', '/admin', { headers: bearer });
+  assert.ok(!dashboard.body.includes('/admin/revoke'));
+  assert.ok(dashboard.body.includes('ADMIN_REVOCATION=true'));
+  assert.ok(dashboard.body.includes('token values are never recorded'));
+});
+
+test('issued tokens are only kept with ADMIN_REVOCATION=true', async () => {
+  const env = { ADMIN_KEY: adminKey, AUDIT_LOG_FILE: 'audit.jsonl', ENCRYPTION_KEY: crypto.randomBytes(32).toString('hex') };
+  assert.equal(createRevocationStore(env), null);
+  assert.ok(createRevocationStore({ ...env, ADMIN_REVOCATION: 'true' }) instanceof TokenVault);
+  assert.throws(() => createRevocationStore({ ADMIN_REVOCATION: 'true', ADMIN_KEY: adminKey }), /requires AUDIT_LOG_FILE, ENCRYPTION_KEY/);
+
+  const auditLog = new AuditLog({ file: path.join(await fs.mkdtemp(path.join(os.tmpdir(), 'audit-')), 'audit.jsonl') });
+  assert.equal(createCore({ auditLog, env }).revocationStore, null);
+});
+
+test('the pages say when issued tokens are kept for revocation', async () => {
+  const core = await createAdminCore();
+  const home = await send(core, 'GET', '/');
+  assert.ok(home.body.includes('An encrypted copy of your token stays on the server so administrators can revoke it'));
+  assert.ok(!home.body.includes('never stored'));
+
+  const success = await callback(core, { profile: 'read-only' }, {
+    ok: true,
+    team: { id: 'T1', name: 'Acme' },
+    authed_user: { id: 'U1', scope: 'users:read', access_token: 'xoxp-1-kept' }
+  });
+  assert.ok(success.body.includes('An encrypted copy of the token is kept on our servers'));
+  assert.ok(!success.body.includes('not stored on our servers'));
+
+  const dashboard = await send(core, 'GET', '/admin', { headers: bearer });
+  assert.ok(dashboard.body.includes('kept apart, encrypted, only so they can be revoked'));
+  assert.ok(!dashboard.body.includes('never recorded'));
+
+  const plain = await send(createCore(), 'GET', '/');
+  assert.ok(plain.body.includes('Your token is never stored on our servers'));
+  assert.ok(!plain.body.includes('Kept for Revocation'));
+});
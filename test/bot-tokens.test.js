@@ -0,0 +1,114 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScopeProfiles } from '../lib/scope-profiles.js';
+import { describeIssuedToken } from '../lib/slack-oauth.js';
+import { createCore, get, request, callback, restoreFetch } from './helpers.js';
+
+afterEach(restoreFetch);
+
+const SCOPE_PROFILES = JSON.stringify({
+  both: { scopes: ['users:read'], botScopes: ['chat:write'] },
+  bot: { scopes: [], botScopes: ['chat:write', 'channels:read'] },
+  user: ['users:read']
+});
+
+// oauth.v2.access response when both bot and user scopes were requested
+const botAndUser = {
+  ok: true,
+  access_token: 'xoxb-1-bot',
+  token_type: 'bot',
+  scope: 'chat:write',
+  bot_user_id: 'B1',
+  team: { id: 'T1', name: 'Acme' },
+  authed_user: { id: 'U1', scope: 'users:read', access_token: 'xoxp-1-user', token_type: 'user' }
+};
+
+const createBotCore = () => createCore({ env: { SCOPE_PROFILES } });
+
+test('bot scopes are checked against their own allow-list', () => {
+  assert.throws(
+    () => loadScopeProfiles({ SCOPE_PROFILES: JSON.stringify({ bad: { scopes: [], botScopes: ['search:read'] } }) }),
+    /search:read \(bot\)/
+  );
+  assert.throws(() => loadScopeProfiles({ SCOPE_PROFILES: JSON.stringify({ empty: { scopes: [] } }) }), /non-empty/);
+});
+
+test('the authorize URL sends bot scopes as scope and user scopes as user_scope', async () => {
+  const core = createBotCore();
+
+  const both = new URL((await get(core, '/auth/start', { profile: 'both' })).headers.Location).searchParams;
+  assert.equal(both.get('scope'), 'chat:write');
+  assert.equal(both.get('user_scope'), 'users:read');
+
+  const bot = new URL((await get(core, '/auth/start', { profile: 'bot' })).headers.Location).searchParams;
+  assert.equal(bot.get('scope'), 'chat:write,channels:read');
+  assert.equal(bot.has('user_scope'), false);
+
+  const user = new URL((await get(core, '/auth/start', { profile: 'user' })).headers.Location).searchParams;
+  assert.equal(user.has('scope'), false);
+});
+
+test('custom profiles replace the built-in ones', async () => {
+  const { profiles, defaultProfile } = loadScopeProfiles({ SCOPE_PROFILES: JSON.stringify({ minimal: ['users:read'] }) });
+  assert.deepEqual(Object.keys(profiles), ['minimal']);
+  assert.equal(defaultProfile, 'minimal');
+  assert.deepEqual(Object.keys(loadScopeProfiles({}).profiles), ['read-only', 'search', 'mcp-full']);
+  assert.throws(() => loadScopeProfiles({ SCOPE_PROFILES: '{}' }), /non-empty JSON object/);
+
+  const core = createCore({ env: { SCOPE_PROFILES: JSON.stringify({ minimal: ['users:read'] }) } });
+  const response = await get(core, '/auth/start', { profile: 'mcp-full' });
+  assert.equal(response.status, 400);
+  assert.ok(response.body.includes('Unknown scope profile'));
+  assert.ok(!(await get(core, '/')).body.includes('mcp-full'));
+});
+
+test('the success page shows both tokens, each with its own copy button', async () => {
+  const response = await callback(createBotCore(), { profile: 'both' }, botAndUser);
+
+  assert.equal(response.status, 200);
+  assert.ok(response.body.includes('xoxp-1-user'));
+  assert.ok(response.body.includes('xoxb-1-bot'));
+  assert.ok(response.body.includes('B1'));
+  assert.ok(response.body.includes('data-copy-target="tokenDisplay" data-copy-status="copyStatus"'));
+  assert.ok(response.body.includes('data-copy-target="botTokenDisplay" data-copy-status="botCopyStatus"'));
+});
+
+test('bot-only installs succeed without a user token', async () => {
+  const botOnly = { ...botAndUser, authed_user: { id: 'U1' } };
+  const response = await callback(createBotCore(), { profile: 'bot' }, botOnly);
+
+  assert.equal(response.status, 200);
+  assert.ok(response.body.includes('xoxb-1-bot'));
+  assert.ok(!response.body.includes('id="tokenDisplay"'));
+  assert.ok(response.body.includes('data-token-display="botTokenDisplay"'));
+
+  const payload = describeIssuedToken(botOnly);
+  assert.equal(payload.access_token, null);
+  assert.equal(payload.bot.access_token, 'xoxb-1-bot');
+  assert.equal(payload.bot.bot_user_id, 'B1');
+});
+
+test('a missing bot token fails the callback when bot scopes were requested', async () => {
+  const { access_token: _, token_type: __, ...userOnly } = botAndUser;
+  const response = await callback(createBotCore(), { profile: 'both' }, userOnly);
+  assert.equal(response.status, 500);
+  assert.ok(response.body.includes('Invalid token data'));
+});
+
+test('bot tokens are inspected against the profile\'s bot scopes', async () => {
+  const core = createBotCore();
+  // auth.test for a bot token: a bot_id, and the granted scopes in X-OAuth-Scopes
+  const authTest = scopes => async () => Response.json(
+    { ok: true, user_id: 'B1', user: 'bot', team_id: 'T1', team: 'Acme', bot_id: 'B1' },
+    { headers: { 'X-OAuth-Scopes': scopes } }
+  );
+  const inspect = async () => JSON.parse((await request(core, 'POST', '/token/inspect', {
+    body: { token: 'xoxb-1-bot', profile: 'bot' }
+  })).body);
+
+  globalThis.fetch = authTest('chat:write');
+  assert.deepEqual((await inspect()).missing_scopes, ['channels:read']);
+
+  globalThis.fetch = authTest('chat:write,channels:read');
+  assert.deepEqual((await inspect()).missing_scopes, []);
+});
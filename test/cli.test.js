@@ -0,0 +1,147 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { MockSlack, MOCK_USER } from '../lib/mock-slack.js';
+import { createNodeHttpServer } from '../lib/adapters/node-http.js';
+import { createCore } from './helpers.js';
+
+const CLI = fileURLToPath(new URL('../slack-token.js', import.meta.url));
+
+const mock = new MockSlack({ clientId: 'client-id', clientSecret: 'client-secret' });
+let mockServer;
+let apiBase;
+let dir;
+
+before(async () => {
+  mockServer = await mock.listen();
+  apiBase = `http://127.0.0.1:${mockServer.address().port}`;
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'slack-token-'));
+});
+
+after(() => {
+  mockServer.close();
+});
+
+// Credentials the mock accepts, for the generator the CLI runs itself
+const localEnv = () => ({ SLACK_CLIENT_ID: 'client-id', SLACK_CLIENT_SECRET: 'client-secret', SLACK_API_BASE: apiBase });
+
+/**
+ * Run the CLI in a scratch directory, so no .env is picked up. `browse` plays the
+ * browser for the authorization URL it prints. Resolves with { code, stdout, stderr }.
+ */
+function runCli(args, { env = {}, browse } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [CLI, '--no-browser', '--timeout', '10', ...args], {
+      cwd: dir,
+      env: { PATH: process.env.PATH, ...env },
+      timeout: 20000
+    });
+    let stdout = '';
+    let stderr = '';
+    let browsing = false;
+    child.stdout.on('data', (chunk) => { stdout += chunk; });
+    child.stderr.on('data', (chunk) => {
+      stderr += chunk;
+      const url = stderr.match(/Authorize in your browser:\n {3}(\S+)\n/)?.[1];
+      if (url && browse && !browsing) {
+        browsing = true;
+        browse(url).catch(reject);
+      }
+    });
+    child.on('error', reject);
+    child.on('close', code => resolve({ code, stdout, stderr }));
+  });
+}
+
+// /auth/start, the mock's authorize page and back to the callback, with the session cookie
+async function authorize(startUrl) {
+  const start = await fetch(startUrl, { redirect: 'manual' });
+  const cookie = start.headers.get('set-cookie').split(';')[0];
+  const slack = await fetch(start.headers.get('location'), { redirect: 'manual' });
+  return fetch(slack.headers.get('location'), { headers: { cookie } });
+}
+
+const unescape = value => value
+  .replace(/&quot;/g, '"').replace(/&#39;/g, '\'').replace(/&#96;/g, '`')
+  .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+
+// Submit the loopback page's form to the CLI's listener, like its script does
+async function postLoopbackForm(page) {
+  const html = await page.text();
+  const action = html.match(/<form id="loopbackForm" method="post" action="([^"]+)"/)[1];
+  const fields = Object.fromEntries([...html.matchAll(/name="(nonce|payload)" value="([^"]*)"/g)]
+    .map(([, name, value]) => [name, unescape(value)]));
+  return fetch(action, { method: 'POST', body: new URLSearchParams(fields) });
+}
+
+test('local mode writes the token to a dotenv file', async () => {
+  mock.setScenario('success');
+  const file = path.join(dir, 'local.env');
+  const { code, stdout, stderr } = await runCli(['--output', 'env', '--file', file, '--env-var', 'MY_TOKEN'], {
+    env: localEnv(),
+    browse: async url => assert.equal((await authorize(url)).status, 200)
+  });
+
+  assert.equal(code, 0, stderr);
+  assert.equal(stdout, '');
+  assert.match(await fs.readFile(file, 'utf8'), /^MY_TOKEN=xoxp-1-\w+$/m);
+  assert.equal((await fs.stat(file)).mode & 0o777, 0o600);
+  assert.ok(stderr.includes(`Token generated for ${MOCK_USER.id} (Mock Workspace)`));
+});
+
+test('local mode ignores stray callbacks and gives up on its own flow failing', async () => {
+  mock.setScenario('success');
+  const completed = await runCli([], {
+    env: localEnv(),
+    browse: async (url) => {
+      const stray = await fetch(new URL('/auth/callback', url));
+      assert.equal(stray.status, 400);
+      await authorize(url);
+    }
+  });
+  assert.equal(completed.code, 0, completed.stderr);
+  assert.match(completed.stdout, /^xoxp-1-\w+\n$/);
+  assert.ok(completed.stderr.includes('Ignored a callback that does not belong to this sign-in'));
+
+  mock.setScenario('access_denied');
+  const denied = await runCli([], { env: localEnv(), browse: authorize });
+  assert.equal(denied.code, 1);
+  assert.ok(denied.stderr.includes('OAuth Error: access_denied'));
+});
+
+test('--server receives the token on the loopback listener', async () => {
+  mock.setScenario('success');
+  const core = createCore({ apiBase });
+  const server = createNodeHttpServer(core);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const origin = `http://127.0.0.1:${server.address().port}`;
+  core.redirectUri = `${origin}/auth/callback`;
+
+  try {
+    const file = path.join(dir, 'remote.json');
+    const { code, stderr } = await runCli(['--server', origin, '--profile', 'search', '--output', 'json', '--file', file], {
+      browse: async url => assert.equal((await postLoopbackForm(await authorize(url))).status, 200)
+    });
+
+    assert.equal(code, 0, stderr);
+    const payload = JSON.parse(await fs.readFile(file, 'utf8'));
+    assert.equal(payload.user_id, MOCK_USER.id);
+    assert.match(payload.access_token, /^xoxp-1-/);
+    assert.equal(payload.profile, 'search');
+  } finally {
+    server.close();
+  }
+});
+
+test('invalid options are reported together with the usage', async () => {
+  const { code, stderr } = await runCli(['--output', 'xml', '--port', '70000', '--env-var', '1TOKEN']);
+  assert.equal(code, 1);
+  assert.ok(stderr.includes('--output must be one of stdout, env, json'));
+  assert.ok(stderr.includes('--port must be a port number'));
+  assert.ok(stderr.includes('--env-var must be a valid variable name'));
+  assert.ok(stderr.includes('Usage: slack-token [options]'));
+});
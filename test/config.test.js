@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateConfig, loadServerConfig, formatProblems } from '../lib/config.js';
+
+const minimal = {
+  SLACK_CLIENT_ID: 'client-id',
+  SLACK_CLIENT_SECRET: 'client-secret',
+  SLACK_REDIRECT_URI: 'https://tokens.example.com/auth/callback'
+};
+
+test('a complete configuration has no problems', () => {
+  assert.deepEqual(validateConfig(minimal), []);
+  assert.deepEqual(validateConfig({ SLACK_CLIENT_ID: 'client-id', SLACK_USE_PKCE: 'true' }, { server: true }), []);
+});
+
+test('every problem is reported at once', () => {
+  const problems = validateConfig({
+    LOG_LEVEL: 'loud',
+    SLACK_API_BASE: 'slack',
+    STATE_STORE: 'signed',
+    TOKEN_VAULT: 'true',
+    RATE_LIMIT_OAUTH_PER_MINUTE: 'lots',
+    CORS_ALLOWED_ORIGINS: '*'
+  });
+
+  assert.deepEqual(problems, [
+    'LOG_LEVEL must be one of debug, info, warn, error, silent, got "loud"',
+    'SLACK_API_BASE must be an http(s) URL, got "slack"',
+    'SignedStateStore requires a secret (set STATE_SECRET)',
+    'TOKEN_VAULT=true requires ENCRYPTION_KEY',
+    'RATE_LIMIT_OAUTH_PER_MINUTE must be a non-negative number, got "lots"',
+    'CORS_ALLOWED_ORIGINS entries must be origins like https://app.example.com, got "*"',
+    'SLACK_CLIENT_ID is not set',
+    'SLACK_CLIENT_SECRET is not set (or enable SLACK_USE_PKCE)',
+    'SLACK_REDIRECT_URI is not set'
+  ]);
+  assert.equal(formatProblems(problems.slice(0, 2)), [
+    'Invalid configuration:',
+    '  - LOG_LEVEL must be one of debug, info, warn, error, silent, got "loud"',
+    '  - SLACK_API_BASE must be an http(s) URL, got "slack"'
+  ].join('\n'));
+});
+
+test('server settings are only checked for the standalone server', () => {
+  const env = { ...minimal, PORT: 'eighty', HTTP_ADAPTER: 'koa' };
+  assert.deepEqual(validateConfig(env), []);
+  assert.deepEqual(validateConfig(env, { server: true }), [
+    'PORT must be a port number, got "eighty"',
+    'HTTP_ADAPTER must be one of express, node, got "koa"'
+  ]);
+
+  assert.deepEqual(loadServerConfig({}), { port: 3000, adapter: 'express', trustProxy: null });
+  assert.deepEqual(loadServerConfig({ PORT: '8080', HTTP_ADAPTER: 'node', TRUST_PROXY: '1' }), { port: 8080, adapter: 'node', trustProxy: 1 });
+  assert.equal(loadServerConfig({ TRUST_PROXY: 'loopback' }).trustProxy, 'loopback');
+});
+
+test('the default app is optional once SLACK_APPS configures others', () => {
+  const apps = JSON.stringify({
+    acme: { clientId: '1.2', clientSecret: 'secret', redirectUri: 'https://tokens.example.com/auth/callback' }
+  });
+  assert.deepEqual(validateConfig({ SLACK_APPS: apps }), []);
+
+  assert.deepEqual(validateConfig({ SLACK_APPS: apps, SLACK_CLIENT_ID: 'client-id' }), [
+    'SLACK_CLIENT_SECRET is not set (or enable SLACK_USE_PKCE)',
+    'SLACK_REDIRECT_URI is not set'
+  ]);
+});
@@ -0,0 +1,49 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { describeIssuedToken, getWorkspaceDetails } from '../lib/slack-oauth.js';
+import { createCore, get, callback, restoreFetch } from './helpers.js';
+
+afterEach(restoreFetch);
+
+// oauth.v2.access response for an org-wide install: no team, only the enterprise
+const orgInstall = {
+  ok: true,
+  team: null,
+  enterprise: { id: 'E1', name: 'Acme Corp' },
+  is_enterprise_install: true,
+  authed_user: { id: 'U1', scope: 'users:read', access_token: 'xoxp-1-grid' }
+};
+
+test('workspace details describe org-wide and Grid workspace installs', () => {
+  assert.equal(getWorkspaceDetails(orgInstall).label, 'Acme Corp (org-wide)');
+  assert.equal(getWorkspaceDetails({ team: { id: 'T1', name: 'Sales' }, enterprise: { id: 'E1', name: 'Acme Corp' } }).label, 'Sales in Acme Corp');
+  assert.equal(getWorkspaceDetails({ team: { id: 'T1', name: 'Sales' } }).enterprise, null);
+});
+
+test('the JSON payload carries the enterprise context', () => {
+  const payload = describeIssuedToken(orgInstall);
+  assert.equal(payload.team, null);
+  assert.deepEqual(payload.enterprise, { id: 'E1', name: 'Acme Corp' });
+  assert.equal(payload.is_enterprise_install, true);
+});
+
+test('install=org points the authorize URL at the enterprise', async () => {
+  const core = createCore({ env: { SLACK_ENTERPRISE_ID: 'E1', SLACK_TEAM_ID: 'T1' } });
+
+  const org = await get(core, '/auth/start', { install: 'org' });
+  assert.equal(new URL(org.headers.Location).searchParams.get('team'), 'E1');
+
+  const workspace = await get(core, '/auth/start');
+  assert.equal(new URL(workspace.headers.Location).searchParams.get('team'), 'T1');
+
+  assert.equal((await get(createCore(), '/auth/start', { install: 'org' })).status, 400);
+  assert.ok((await get(core, '/')).body.includes('name="install" value="org"'));
+});
+
+test('the success page shows the organization instead of "Unknown Team"', async () => {
+  const response = await callback(createCore(), { profile: 'mcp-full' }, orgInstall);
+  assert.equal(response.status, 200);
+  assert.ok(response.body.includes('Acme Corp (org-wide)'));
+  assert.ok(response.body.includes('(E1)'));
+  assert.ok(!response.body.includes('Unknown Team'));
+});
@@ -0,0 +1,74 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCore, get, startFlow, restoreFetch } from './helpers.js';
+
+afterEach(restoreFetch);
+
+// Records the oauth.v2.access request and answers with the given Response
+function stubExchange(createResponse) {
+  const calls = [];
+  globalThis.fetch = async (url, init) => {
+    calls.push({ url: String(url), init, body: new URLSearchParams(String(init.body)) });
+    return createResponse();
+  };
+  return calls;
+}
+
+test('the exchange posts the code, credentials and redirect URI', async () => {
+  const calls = stubExchange(() => Response.json({ ok: true, authed_user: { id: 'U1', access_token: 'xoxp-1' } }));
+
+  const data = await createCore().exchangeCodeForToken('the-code');
+  assert.equal(data.authed_user.access_token, 'xoxp-1');
+
+  const [{ url, init, body }] = calls;
+  assert.equal(url, 'https://slack.com/api/oauth.v2.access');
+  assert.equal(init.method, 'POST');
+  assert.equal(init.headers['Content-Type'], 'application/x-www-form-urlencoded');
+  assert.equal(body.get('client_id'), 'client-id');
+  assert.equal(body.get('client_secret'), 'client-secret');
+  assert.equal(body.get('code'), 'the-code');
+  assert.equal(body.get('redirect_uri'), 'https://example.com/auth/callback');
+  assert.equal(body.has('code_verifier'), false);
+});
+
+test('PKCE exchanges send the verifier and no empty secret', async () => {
+  const calls = stubExchange(() => Response.json({ ok: true, authed_user: { id: 'U1', access_token: 'xoxp-1' } }));
+
+  await createCore({ clientSecret: '' }).exchangeCodeForToken('the-code', 'the-verifier');
+  assert.equal(calls[0].body.get('code_verifier'), 'the-verifier');
+  assert.equal(calls[0].body.has('client_secret'), false);
+});
+
+test('HTTP errors include the status and response text', async () => {
+  stubExchange(() => new Response('upstream unavailable', { status: 503 }));
+
+  await assert.rejects(
+    createCore().exchangeCodeForToken('the-code'),
+    { message: 'HTTP error! status: 503 - upstream unavailable' }
+  );
+});
+
+test('ok:false responses surface the Slack error code', async () => {
+  for (const error of ['invalid_code', 'bad_redirect_uri', 'code_already_used', 'invalid_client_id']) {
+    stubExchange(() => Response.json({ ok: false, error }));
+    await assert.rejects(createCore().exchangeCodeForToken('the-code'), { message: `OAuth exchange failed: ${error}` });
+  }
+});
+
+test('network failures and malformed bodies are not swallowed', async () => {
+  globalThis.fetch = async () => { throw new TypeError('fetch failed'); };
+  await assert.rejects(createCore().exchangeCodeForToken('the-code'), { message: 'fetch failed' });
+
+  stubExchange(() => new Response('<html>not json</html>', { status: 200 }));
+  await assert.rejects(createCore().exchangeCodeForToken('the-code'), SyntaxError);
+});
+
+test('a callback that cannot reach Slack shows the exchange error', async () => {
+  const core = createCore();
+  const { state, cookie } = await startFlow(core, { profile: 'search' });
+  globalThis.fetch = async () => { throw new TypeError('fetch failed'); };
+
+  const response = await get(core, '/auth/callback', { code: 'code', state }, { cookie });
+  assert.equal(response.status, 500);
+  assert.ok(response.body.includes('Token exchange failed: fetch failed'));
+});
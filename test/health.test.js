@@ -0,0 +1,114 @@
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { checkRedirectUri, checkConfig, checkStateStore, probeSlack, loadSlackProbe } from '../lib/health.js';
+import { MemoryStateStore } from '../lib/state-store.js';
+import { MockSlack } from '../lib/mock-slack.js';
+import { createCore, get, restoreFetch } from './helpers.js';
+
+const mock = new MockSlack();
+let mockServer;
+let hangingServer;
+
+before(async () => {
+  mockServer = await mock.listen();
+  // Accepts requests and never answers them
+  hangingServer = http.createServer(() => {});
+  await new Promise(resolve => hangingServer.listen(0, '127.0.0.1', resolve));
+});
+
+after(() => {
+  mockServer.close();
+  hangingServer.close();
+  hangingServer.closeAllConnections();
+});
+
+afterEach(restoreFetch);
+
+const baseUrl = server => `http://127.0.0.1:${server.address().port}`;
+
+async function ready(core) {
+  const response = await get(core, '/health/ready');
+  return { status: response.status, body: JSON.parse(response.body) };
+}
+
+test('redirect URIs must be https (or loopback http) and point at the callback', () => {
+  assert.deepEqual(checkRedirectUri('https://tokens.example.com/auth/callback'), []);
+  assert.deepEqual(checkRedirectUri('https://tokens.example.com/api/auth/callback'), []);
+  assert.deepEqual(checkRedirectUri('http://localhost:3000/auth/callback'), []);
+  assert.deepEqual(checkRedirectUri('http://127.0.0.1:3000/auth/callback'), []);
+
+  assert.deepEqual(checkRedirectUri(undefined), ['SLACK_REDIRECT_URI is not set']);
+  assert.deepEqual(checkRedirectUri('tokens.example.com/auth/callback'), ['SLACK_REDIRECT_URI is not a valid URL']);
+  assert.match(checkRedirectUri('http://tokens.example.com/auth/callback')[0], /must use https/);
+  assert.match(checkRedirectUri('ftp://localhost/auth/callback')[0], /must use https/);
+  assert.match(checkRedirectUri('https://tokens.example.com/')[0], /must point at \/auth\/callback/);
+  assert.match(checkRedirectUri('https://tokens.example.com/auth/callback#x')[0], /fragment/);
+});
+
+test('the config check lists every missing setting', () => {
+  assert.deepEqual(checkConfig({ clientId: 'id', clientSecret: 'secret', redirectUri: 'https://a.example/auth/callback' }), { status: 'ok' });
+  assert.deepEqual(checkConfig({ clientId: 'id', usePkce: true, redirectUri: 'https://a.example/auth/callback' }), { status: 'ok' });
+
+  const { status, problems } = checkConfig({});
+  assert.equal(status, 'fail');
+  assert.deepEqual(problems, [
+    'SLACK_CLIENT_ID is not set',
+    'SLACK_CLIENT_SECRET is not set (or enable SLACK_USE_PKCE)',
+    'SLACK_REDIRECT_URI is not set'
+  ]);
+});
+
+test('an unreachable state store fails its check', async () => {
+  assert.deepEqual(await checkStateStore(new MemoryStateStore()), { status: 'ok', backend: 'MemoryStateStore', pending: 0 });
+
+  const broken = { size: async () => { throw new Error('EACCES: permission denied'); } };
+  assert.deepEqual(await checkStateStore(broken), { status: 'fail', backend: 'Object', error: 'EACCES: permission denied' });
+});
+
+test('the Slack probe reports success, errors and timeouts', async () => {
+  assert.equal((await probeSlack({ apiBase: baseUrl(mockServer) })).status, 'ok');
+
+  const timedOut = await probeSlack({ apiBase: baseUrl(hangingServer), timeout: 50 });
+  assert.deepEqual({ ...timedOut, latency_ms: 0 }, { status: 'fail', latency_ms: 0, error: 'No response within 50ms' });
+
+  globalThis.fetch = async () => new Response('down', { status: 503 });
+  assert.equal((await probeSlack({ apiBase: 'https://slack.com' })).error, 'HTTP error! status: 503');
+});
+
+test('HEALTH_SLACK_PROBE enables the probe with an optional timeout', () => {
+  assert.equal(loadSlackProbe({}), null);
+  assert.deepEqual(loadSlackProbe({ HEALTH_SLACK_PROBE: 'true' }), { timeout: 2000 });
+  assert.deepEqual(loadSlackProbe({ HEALTH_SLACK_PROBE: 'true', HEALTH_SLACK_PROBE_TIMEOUT_MS: '500' }), { timeout: 500 });
+  assert.throws(() => loadSlackProbe({ HEALTH_SLACK_PROBE: 'true', HEALTH_SLACK_PROBE_TIMEOUT_MS: 'soon' }), /HEALTH_SLACK_PROBE_TIMEOUT_MS/);
+});
+
+test('/health/ready answers 200 with every check passing', async () => {
+  const { status, body } = await ready(createCore({ apiBase: baseUrl(mockServer), slackProbe: { timeout: 1000 } }));
+
+  assert.equal(status, 200);
+  assert.equal(body.status, 'ok');
+  assert.deepEqual(body.checks.config, { status: 'ok' });
+  assert.equal(body.checks.state_store.status, 'ok');
+  assert.equal(body.checks.slack.status, 'ok');
+});
+
+test('/health/ready answers 503 with the failing checks, while /health stays up', async () => {
+  const core = createCore({ clientId: undefined, apiBase: baseUrl(hangingServer), slackProbe: { timeout: 50 } });
+  const { status, body } = await ready(core);
+
+  assert.equal(status, 503);
+  assert.equal(body.status, 'fail');
+  assert.deepEqual(body.checks.config.problems, ['SLACK_CLIENT_ID is not set']);
+  assert.equal(body.checks.state_store.status, 'ok');
+  assert.equal(body.checks.slack.status, 'fail');
+
+  const health = await get(core, '/health');
+  assert.equal(health.status, 200);
+});
+
+test('the Slack probe is skipped unless enabled', async () => {
+  const { status, body } = await ready(createCore());
+  assert.equal(status, 200);
+  assert.deepEqual(body.checks.slack, { status: 'skipped' });
+});
@@ -0,0 +1,65 @@
+/**
+ * Shared test setup: a quiet OAuthCore with test credentials, requests
+ * handled in-process, and a stubbed slack.com
+ */
+import { OAuthCore } from '../lib/oauth-core.js';
+import { MemoryStateStore } from '../lib/state-store.js';
+import { Logger } from '../lib/logger.js';
+
+export const originalFetch = globalThis.fetch;
+
+// For afterEach: undo stubSlack and any other fetch stub
+export function restoreFetch() {
+  globalThis.fetch = originalFetch;
+}
+
+// A core that ignores process.env; options override any of the defaults
+export function createCore(options = {}) {
+  return new OAuthCore({
+    clientId: 'client-id',
+    clientSecret: 'client-secret',
+    redirectUri: 'https://example.com/auth/callback',
+    stateStore: new MemoryStateStore(),
+    logger: new Logger({ level: 'silent' }),
+    env: {},
+    ...options
+  });
+}
+
+export function request(core, method, path, { query = {}, body = {}, headers = {}, ip = '127.0.0.1' } = {}) {
+  return core.handle({ method, path, query: new URLSearchParams(query), body, headers, ip });
+}
+
+export function get(core, path, query = {}, headers = {}) {
+  return request(core, 'GET', path, { query, headers });
+}
+
+// Start a flow like a browser: the state from the Slack redirect and the session cookie it is bound to
+export async function startFlow(core, query = {}) {
+  const start = await get(core, '/auth/start', query);
+  return {
+    state: new URL(start.headers.Location).searchParams.get('state'),
+    cookie: start.headers['Set-Cookie'].split(';')[0]
+  };
+}
+
+// Run a flow through the callback, with `body` as Slack's oauth.v2.access answer
+export async function callback(core, query, body) {
+  const { state, cookie } = await startFlow(core, query);
+  stubSlack(body);
+  return get(core, '/auth/callback', { code: 'code', state }, { cookie });
+}
+
+/**
+ * Answer every Slack API call with `body`, or with body(url, init) when it is a
+ * function. Returns the list of calls made, as { url, init, form }.
+ */
+export function stubSlack(body) {
+  const calls = [];
+  globalThis.fetch = async (url, init = {}) => {
+    const call = { url: String(url), init, form: Object.fromEntries(new URLSearchParams(String(init.body ?? ''))) };
+    calls.push(call);
+    return Response.json(typeof body === 'function' ? body(call.url, init) : body);
+  };
+  return calls;
+}
@@ -0,0 +1,113 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { MetricsRegistry, toErrorLabel } from '../lib/metrics.js';
+import { SignedStateStore } from '../lib/state-store.js';
+import { createCore, get, startFlow, restoreFetch } from './helpers.js';
+
+afterEach(restoreFetch);
+
+// Start a flow and come back to the callback from the same browser
+async function callback(core, query = {}) {
+  const { state, cookie } = await startFlow(core, { profile: 'search', response_mode: 'json' });
+  return get(core, '/auth/callback', { code: 'code', state, ...query }, { cookie });
+}
+
+// The value of one sample line, e.g. sample(text, 'slack_token_callbacks_total')
+function sample(text, series) {
+  const line = text.split('\n').find(candidate => candidate.startsWith(`${series} `));
+  return line === undefined ? undefined : Number(line.slice(series.length + 1));
+}
+
+test('counters, histograms and gauges render in the Prometheus text format', async () => {
+  const registry = new MetricsRegistry();
+  const counter = registry.counter({ name: 'requests_total', help: 'Requests', labelNames: ['reason'] });
+  const histogram = registry.histogram({ name: 'latency_seconds', help: 'Latency', buckets: [0.1, 1] });
+  registry.gauge({ name: 'pending', help: 'Pending', collect: async () => 3 });
+  registry.gauge({ name: 'unknown', help: 'Unknown', collect: async () => null });
+
+  counter.inc({ reason: 'say "hi"\n' });
+  counter.inc({ reason: 'say "hi"\n' }, 2);
+  histogram.observe(0.05);
+  histogram.observe(0.5);
+  histogram.observe(5);
+
+  assert.equal(await registry.render(), [
+    '# HELP requests_total Requests',
+    '# TYPE requests_total counter',
+    'requests_total{reason="say \\"hi\\"\\n"} 3',
+    '# HELP latency_seconds Latency',
+    '# TYPE latency_seconds histogram',
+    'latency_seconds_bucket{le="0.1"} 1',
+    'latency_seconds_bucket{le="1"} 2',
+    'latency_seconds_bucket{le="+Inf"} 3',
+    'latency_seconds_sum 5.55',
+    'latency_seconds_count 3',
+    '# HELP pending Pending',
+    '# TYPE pending gauge',
+    'pending 3',
+    '# HELP unknown Unknown',
+    '# TYPE unknown gauge',
+    ''
+  ].join('\n'));
+});
+
+test('label values from outside are bounded', () => {
+  const counter = new MetricsRegistry().counter({ name: 'errors_total', help: 'Errors', labelNames: ['error'] });
+  for (let i = 0; i < 150; i++) counter.inc({ error: `error_${i}` });
+
+  assert.equal(counter.series.size, 101);
+  assert.equal(counter.get({ error: 'other' }), 50);
+
+  assert.equal(toErrorLabel('invalid_code'), 'invalid_code');
+  assert.equal(toErrorLabel('<script>alert(1)</script>'), 'other');
+  assert.equal(toErrorLabel('x'.repeat(65)), 'other');
+});
+
+test('/metrics counts flows, callbacks, successes and failures by reason', async () => {
+  const core = createCore();
+
+  // Its callback below comes without the session cookie
+  const foreign = await get(core, '/auth/start', { profile: 'search' });
+  assert.equal(foreign.status, 302);
+
+  await callback(core, { error: 'access_denied' });
+  await get(core, '/auth/callback', { code: 'code', state: 'forged' });
+  await get(core, '/auth/callback', { code: 'code', state: new URL(foreign.headers.Location).searchParams.get('state') });
+
+  globalThis.fetch = async () => new Response('Bad Gateway', { status: 502 });
+  await callback(core);
+
+  globalThis.fetch = async () => Response.json({ ok: false, error: 'invalid_code' });
+  await callback(core);
+
+  globalThis.fetch = async () => Response.json({
+    ok: true,
+    authed_user: { id: 'U1', scope: 'search:read', access_token: 'xoxp-1' }
+  });
+  assert.equal((await callback(core)).status, 200);
+
+  const response = await get(core, '/metrics');
+  assert.equal(response.status, 200);
+  assert.match(response.headers['Content-Type'], /^text\/plain; version=0\.0\.4/);
+
+  const text = response.body;
+  assert.equal(sample(text, 'slack_token_flows_started_total{profile="search",install="workspace"}'), 5);
+  assert.equal(sample(text, 'slack_token_callbacks_total'), 6);
+  assert.equal(sample(text, 'slack_token_exchanges_succeeded_total'), 1);
+  assert.equal(sample(text, 'slack_token_failures_total{reason="oauth_error",error="access_denied"}'), 1);
+  assert.equal(sample(text, 'slack_token_failures_total{reason="invalid_state",error=""}'), 1);
+  assert.equal(sample(text, 'slack_token_failures_total{reason="state_mismatch",error=""}'), 1);
+  assert.equal(sample(text, 'slack_token_failures_total{reason="http_error",error="502"}'), 1);
+  assert.equal(sample(text, 'slack_token_failures_total{reason="slack_error",error="invalid_code"}'), 1);
+  assert.equal(sample(text, 'slack_token_exchange_duration_seconds_count'), 3);
+  // States are used up by their callback, whatever the outcome
+  assert.equal(sample(text, 'slack_token_pending_states'), 0);
+});
+
+test('the pending-state gauge has no sample when the store cannot count', async () => {
+  const core = createCore({ stateStore: new SignedStateStore({ secret: 'test-secret' }) });
+  const { body } = await get(core, '/metrics');
+
+  assert.ok(body.includes('# TYPE slack_token_pending_states gauge'));
+  assert.equal(sample(body, 'slack_token_pending_states'), undefined);
+});
@@ -0,0 +1,95 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { MockSlack, MOCK_USER } from '../lib/mock-slack.js';
+import { createCore, request } from './helpers.js';
+
+const mock = new MockSlack({ clientId: 'client-id', clientSecret: 'client-secret' });
+let server;
+let apiBase;
+
+before(async () => {
+  server = await mock.listen();
+  apiBase = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+// Talks to the mock instead of slack.com
+const createMockCore = (options = {}) => createCore({ apiBase, ...options });
+
+// Follow /auth/start through the mock authorize page and back into /auth/callback
+async function runFlow(core, scenario, query = {}) {
+  mock.setScenario(scenario);
+  const start = await request(core, 'GET', '/auth/start', { query });
+  assert.equal(start.status, 302);
+  assert.ok(start.headers.Location.startsWith(`${apiBase}/oauth/v2/authorize`));
+
+  const authorize = await fetch(start.headers.Location, { redirect: 'manual' });
+  const callbackUrl = new URL(authorize.headers.get('location'));
+  return request(core, 'GET', '/auth/callback', {
+    query: Object.fromEntries(callbackUrl.searchParams),
+    headers: { cookie: start.headers['Set-Cookie'].split(';')[0] }
+  });
+}
+
+test('the whole flow works end to end against the mock', async () => {
+  const core = createMockCore();
+  const response = await runFlow(core, 'success', { format: 'json' });
+
+  assert.equal(response.status, 200);
+  const payload = JSON.parse(response.body);
+  assert.equal(payload.user_id, MOCK_USER.id);
+  assert.match(payload.access_token, /^xoxp-1-/);
+
+  const inspected = await request(core, 'POST', '/token/inspect', { body: { token: payload.access_token, profile: 'mcp-full' } });
+  assert.equal(JSON.parse(inspected.body).user.id, MOCK_USER.id);
+
+  const revoked = await request(core, 'POST', '/token/revoke', { body: { token: payload.access_token } });
+  assert.equal(JSON.parse(revoked.body).revoked, true);
+});
+
+test('PKCE flows are verified by the mock', async () => {
+  const response = await runFlow(createMockCore({ clientSecret: undefined, usePkce: true }), 'success', { format: 'json' });
+  assert.equal(response.status, 200);
+});
+
+test('exchange failures are reported on the error page', async () => {
+  for (const [scenario, message] of [
+    ['invalid_code', 'OAuth exchange failed: invalid_code'],
+    ['bad_redirect_uri', 'OAuth exchange failed: bad_redirect_uri'],
+    ['server_error', 'HTTP error! status: 500']
+  ]) {
+    const response = await runFlow(createMockCore(), scenario);
+    assert.equal(response.status, 500, scenario);
+    assert.ok(response.body.includes(message), scenario);
+  }
+});
+
+test('a denied authorization comes back as a Slack error parameter', async () => {
+  const response = await runFlow(createMockCore(), 'access_denied');
+  assert.equal(response.status, 400);
+  assert.ok(response.body.includes('access_denied'));
+});
+
+test('rotation responses can be refreshed once', async () => {
+  const core = createMockCore();
+  const payload = JSON.parse((await runFlow(core, 'rotation', { format: 'json' })).body);
+  assert.match(payload.access_token, /^xoxe\.xoxp-1-/);
+  assert.ok(payload.expires_at);
+
+  const refreshed = await request(core, 'POST', '/auth/refresh', { body: { refresh_token: payload.refresh_token } });
+  assert.equal(refreshed.status, 200);
+  assert.notEqual(JSON.parse(refreshed.body).access_token, payload.access_token);
+
+  const reused = await request(core, 'POST', '/auth/refresh', { body: { refresh_token: payload.refresh_token } });
+  assert.equal(JSON.parse(reused.body).error, 'invalid_refresh_token');
+});
+
+test('grid responses describe an org-wide install', async () => {
+  const payload = JSON.parse((await runFlow(createMockCore(), 'grid', { format: 'json' })).body);
+  assert.equal(payload.team, null);
+  assert.equal(payload.enterprise.id, 'E0MOCK');
+  assert.equal(payload.is_enterprise_install, true);
+});
@@ -0,0 +1,93 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { getErrorPage, getSuccessPageWithToken } from '../lib/pages.js';
+import { createCore, get, callback, restoreFetch } from './helpers.js';
+
+const PAYLOAD = '<script>alert(1)</script>';
+const ESCAPED = '&lt;script&gt;alert(1)&lt;/script&gt;';
+
+afterEach(restoreFetch);
+
+test('error page escapes the message', () => {
+  const page = String(getErrorPage(`OAuth Error: ${PAYLOAD}`));
+  assert.ok(page.includes(ESCAPED));
+  assert.ok(!page.includes(PAYLOAD));
+});
+
+test('callback escapes the error query parameter', async () => {
+  const response = await get(createCore(), '/auth/callback', { error: PAYLOAD });
+  assert.equal(response.status, 400);
+  assert.ok(response.body.includes(ESCAPED));
+  assert.ok(!response.body.includes(PAYLOAD));
+});
+
+test('success page escapes values from the Slack response', async () => {
+  const response = await callback(createCore(), { profile: 'mcp-full' }, {
+    ok: true,
+    team: { id: 'T1', name: `Team ${PAYLOAD}` },
+    authed_user: {
+      id: 'U1',
+      name: `"><img src=x onerror=alert(1)>`,
+      scope: `channels:read,${PAYLOAD}`,
+      access_token: 'xoxp-1-abc'
+    }
+  });
+  assert.equal(response.status, 200);
+  assert.ok(response.body.includes(`Team ${ESCAPED}`));
+  assert.ok(response.body.includes('&quot;&gt;&lt;img src=x onerror=alert(1)&gt;'));
+  assert.ok(!response.body.includes(PAYLOAD));
+  assert.ok(!response.body.includes('<img src=x'));
+  assert.ok(response.body.includes('xoxp-1-abc'));
+});
+
+test('success page escapes the token itself', () => {
+  const page = String(getSuccessPageWithToken({ authed_user: { access_token: PAYLOAD } }, {}));
+  assert.ok(page.includes(ESCAPED));
+  assert.ok(!page.includes(PAYLOAD));
+});
+
+test('home page escapes scope profile labels', async () => {
+  const core = createCore({
+    env: { SCOPE_PROFILES: JSON.stringify({ custom: { label: PAYLOAD, scopes: ['users:read'] } }) }
+  });
+  const response = await get(core, '/', { profile: 'custom' });
+  assert.ok(response.body.includes(ESCAPED));
+  assert.ok(!response.body.includes(PAYLOAD));
+});
+
+test('home page preselects the requested profile and lists its scopes', async () => {
+  const response = await get(createCore(), '/', { profile: 'search' });
+  assert.equal(response.status, 200);
+  assert.ok(response.body.includes('<option value="search" selected>'));
+  assert.match(response.body, /<ul data-profile="search"\s*>/);
+  assert.match(response.body, /<ul data-profile="read-only"\s*hidden>/);
+  assert.ok(response.body.includes('<code>search:read</code>'));
+});
+
+test('success page shows the token details, and rotation only when enabled', () => {
+  const tokenData = {
+    team: { id: 'T1', name: 'Acme' },
+    authed_user: { id: 'U1', name: 'ada', scope: 'users:read,search:read', access_token: 'xoxp-1-abc' }
+  };
+
+  const page = String(getSuccessPageWithToken(tokenData, { user_name: 'Ada' }));
+  assert.ok(page.includes('xoxp-1-abc'));
+  assert.ok(page.includes('U1'));
+  assert.ok(page.includes('Acme'));
+  assert.ok(page.includes('users:read, search:read'));
+  assert.ok(page.includes('Never (rotation disabled)'));
+  assert.ok(!page.includes('refreshTokenDisplay'));
+
+  const rotated = String(getSuccessPageWithToken({
+    ...tokenData,
+    authed_user: { ...tokenData.authed_user, refresh_token: 'xoxe-1-refresh', expires_in: 43200 }
+  }, {}));
+  assert.ok(rotated.includes('id="refreshTokenDisplay"'));
+  assert.ok(rotated.includes('xoxe-1-refresh'));
+});
+
+test('error page links back to the home page', () => {
+  const page = String(getErrorPage('Something broke'));
+  assert.ok(page.includes('Something broke'));
+  assert.ok(page.includes('href="/"'));
+});
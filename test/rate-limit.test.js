@@ -0,0 +1,136 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { TokenBucket, RateLimiter, createRateLimiter } from '../lib/rate-limit.js';
+import { MemoryStateStore, FileStateStore, createStateStore } from '../lib/state-store.js';
+import { createVercelHandler } from '../lib/adapters/vercel.js';
+import { createCore, request } from './helpers.js';
+
+test('a bucket allows a burst, then refills at the per-minute rate', () => {
+  const bucket = new TokenBucket({ perMinute: 3 });
+  const start = 1_000_000;
+
+  assert.equal(bucket.take('ip', start).allowed, true);
+  assert.equal(bucket.take('ip', start).allowed, true);
+  assert.equal(bucket.take('ip', start).allowed, true);
+  assert.deepEqual(bucket.take('ip', start), { allowed: false, retryAfter: 20 });
+
+  // One token every 20 seconds
+  assert.deepEqual(bucket.take('ip', start + 15_000), { allowed: false, retryAfter: 5 });
+  assert.equal(bucket.take('ip', start + 20_000).allowed, true);
+
+  // Other clients have their own bucket
+  assert.equal(bucket.take('other-ip', start).allowed, true);
+});
+
+test('the least recently seen client is forgotten past the tracking limit', () => {
+  const bucket = new TokenBucket({ perMinute: 1, maxClients: 2 });
+  bucket.take('a', 0);
+  bucket.take('b', 0);
+  bucket.take('a', 0);
+  bucket.take('c', 0);
+
+  assert.deepEqual([...bucket.buckets.keys()], ['a', 'c']);
+});
+
+test('limits are configured per route group from the environment', () => {
+  const limiter = new RateLimiter({ oauth: 1, token: 0 });
+  assert.equal(limiter.check('GET /auth/start', 'ip').allowed, true);
+  assert.equal(limiter.check('GET /auth/callback', 'ip').allowed, false);
+  assert.equal(limiter.check('POST /token/revoke', 'ip'), null);
+  assert.equal(limiter.check('GET /', 'ip'), null);
+
+  assert.equal(createRateLimiter({}).groups.oauth.capacity, 30);
+  assert.equal(createRateLimiter({ RATE_LIMIT_TOKEN_PER_MINUTE: '5' }).groups.token.capacity, 5);
+  assert.equal(createRateLimiter({}).groups.admin.capacity, 30);
+  assert.equal(createRateLimiter({ RATE_LIMIT_ADMIN_PER_MINUTE: '0' }).groups.admin, undefined);
+  assert.equal(createRateLimiter({ RATE_LIMIT_OAUTH_PER_MINUTE: '0' }).groups.oauth, undefined);
+  assert.throws(() => createRateLimiter({ RATE_LIMIT_OAUTH_PER_MINUTE: 'lots' }), /RATE_LIMIT_OAUTH_PER_MINUTE/);
+});
+
+test('limited routes answer 429 with Retry-After in their usual format', async () => {
+  const core = createCore({ rateLimiter: new RateLimiter({ oauth: 2, token: 1 }) });
+
+  assert.equal((await request(core, 'GET', '/auth/start')).status, 302);
+  assert.equal((await request(core, 'GET', '/auth/start')).status, 302);
+  const limited = await request(core, 'GET', '/auth/start');
+  assert.equal(limited.status, 429);
+  assert.equal(limited.headers['Retry-After'], '30');
+  assert.match(limited.headers['Content-Type'], /^text\/html/);
+  assert.ok(limited.body.includes('Too many requests, please try again in 30 seconds'));
+  assert.equal(await core.stateStore.size(), 2);
+
+  // Another client, and unlimited routes, are unaffected
+  assert.equal((await request(core, 'GET', '/auth/start', { ip: '203.0.113.2' })).status, 302);
+  assert.equal((await request(core, 'GET', '/')).status, 200);
+
+  await request(core, 'POST', '/token/revoke');
+  const api = await request(core, 'POST', '/token/revoke');
+  assert.equal(api.status, 429);
+  assert.deepEqual(JSON.parse(api.body), { ok: false, error: 'rate_limited', retry_after: 60 });
+
+  const { body } = await request(core, 'GET', '/metrics');
+  assert.ok(body.includes('slack_token_rate_limited_total{group="oauth"} 1'));
+  assert.ok(body.includes('slack_token_rate_limited_total{group="token"} 1'));
+});
+
+test('admin routes are limited, so the admin key cannot be guessed at speed', async () => {
+  const core = createCore({ adminKey: 'admin-secret', rateLimiter: new RateLimiter({ admin: 2 }) });
+  const guess = { headers: { authorization: 'Bearer wrong-guess' } };
+
+  assert.equal((await request(core, 'GET', '/admin', guess)).status, 401);
+  assert.equal((await request(core, 'GET', '/admin/export.csv', guess)).status, 401);
+  assert.equal((await request(core, 'POST', '/admin/revoke', guess)).status, 429);
+
+  // Even the right key has to wait
+  const limited = await request(core, 'GET', '/admin', { headers: { authorization: 'Bearer admin-secret' } });
+  assert.equal(limited.status, 429);
+  assert.ok(Number(limited.headers['Retry-After']) > 0);
+});
+
+test('the Vercel handler limits by the forwarded client IP', async () => {
+  const handler = createVercelHandler(createCore({ rateLimiter: new RateLimiter({ oauth: 1 }) }));
+  const call = async (forwardedFor) => {
+    const res = {
+      headers: {},
+      setHeader(name, value) { this.headers[name] = value; },
+      status(code) { this.statusCode = code; return this; },
+      send(body) { this.body = body; return this; },
+      end() { return this; }
+    };
+    await handler({ method: 'GET', url: '/api/auth/start', headers: { host: 'tokens.example.com', 'x-forwarded-for': forwardedFor } }, res);
+    return res;
+  };
+
+  assert.equal((await call('198.51.100.1')).statusCode, 302);
+  const limited = await call('198.51.100.1, 10.0.0.1');
+  assert.equal(limited.statusCode, 429);
+  assert.ok(Number(limited.headers['Retry-After']) > 0);
+  assert.equal((await call('198.51.100.2')).statusCode, 302);
+});
+
+test('state stores evict the least recently used state at their cap', async () => {
+  const memory = new MemoryStateStore({ maxStates: 2 });
+  const first = await memory.create({ n: 1 });
+  const second = await memory.create({ n: 2 });
+  await memory.get(first);
+  await memory.create({ n: 3 });
+
+  assert.equal(await memory.size(), 2);
+  assert.equal((await memory.get(first)).n, 1);
+  assert.equal(await memory.get(second), null);
+
+  const file = path.join(await fs.mkdtemp(path.join(os.tmpdir(), 'states-')), 'states.json');
+  const store = new FileStateStore({ file, maxStates: 2 });
+  const oldest = await store.create({ n: 1 });
+  await store.create({ n: 2 });
+  await store.create({ n: 3 });
+
+  assert.equal(await store.size(), 2);
+  assert.equal(await store.get(oldest), null);
+
+  assert.equal(createStateStore({ MAX_PENDING_STATES: '5' }).maxStates, 5);
+  assert.throws(() => createStateStore({ MAX_PENDING_STATES: '0' }), /MAX_PENDING_STATES/);
+});
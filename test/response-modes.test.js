@@ -0,0 +1,85 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startLoopbackListener, createLoopbackNonce } from '../lib/loopback.js';
+import { createCore, get, startFlow, stubSlack, restoreFetch } from './helpers.js';
+
+afterEach(restoreFetch);
+
+test('format=json returns the token payload as JSON', async () => {
+  const core = createCore();
+  const { state, cookie } = await startFlow(core, { format: 'json', profile: 'search' });
+  stubSlack({
+    ok: true,
+    team: { id: 'T1', name: 'Acme' },
+    authed_user: { id: 'U1', scope: 'channels:read,search:read', access_token: 'xoxe.xoxp-1-abc', refresh_token: 'xoxe-1-def', expires_in: 43200 }
+  });
+
+  const response = await get(core, '/auth/callback', { code: 'code', state }, { cookie });
+  const payload = JSON.parse(response.body);
+
+  assert.equal(response.status, 200);
+  assert.match(response.headers['Content-Type'], /application\/json/);
+  assert.equal(payload.access_token, 'xoxe.xoxp-1-abc');
+  assert.equal(payload.user_id, 'U1');
+  assert.deepEqual(payload.team, { id: 'T1', name: 'Acme' });
+  assert.deepEqual(payload.scopes, ['channels:read', 'search:read']);
+  assert.equal(payload.profile, 'search');
+  assert.equal(payload.refresh_token, 'xoxe-1-def');
+  assert.equal(payload.expires_in, 43200);
+  assert.ok(payload.expires_at);
+});
+
+test('JSON mode reports callback errors as JSON', async () => {
+  const core = createCore();
+  const { state, cookie } = await startFlow(core, { response_mode: 'json' });
+
+  const response = await get(core, '/auth/callback', { error: 'access_denied', state }, { cookie });
+  assert.equal(response.status, 400);
+  assert.deepEqual(JSON.parse(response.body), { ok: false, error: 'access_denied', message: 'OAuth Error: access_denied' });
+});
+
+test('rejects unknown response modes and unsafe loopback parameters', async () => {
+  const core = createCore();
+  const nonce = createLoopbackNonce();
+
+  assert.equal((await get(core, '/auth/start', { response_mode: 'email' })).status, 400);
+  assert.equal((await get(core, '/auth/start', { response_mode: 'loopback', loopback_port: '80', loopback_nonce: nonce })).status, 400);
+  assert.equal((await get(core, '/auth/start', { response_mode: 'loopback', loopback_port: '8080', loopback_nonce: 'short' })).status, 400);
+});
+
+test('loopback mode posts the payload to the CLI listener on 127.0.0.1', async () => {
+  const core = createCore();
+  const nonce = createLoopbackNonce();
+  const listener = await startLoopbackListener({ nonce, timeout: 5000 });
+
+  const { state, cookie } = await startFlow(core, { response_mode: 'loopback', loopback_port: String(listener.port), loopback_nonce: nonce });
+  stubSlack({ ok: true, team: { id: 'T1', name: 'Acme' }, authed_user: { id: 'U1', scope: 'users:read', access_token: 'xoxp-1-abc' } });
+  const response = await get(core, '/auth/callback', { code: 'code', state }, { cookie });
+  restoreFetch();
+
+  assert.ok(response.body.includes(`action="http://127.0.0.1:${listener.port}/callback"`));
+  // The page may post to the CLI's port, and only there besides this origin
+  assert.match(response.headers['Content-Security-Policy'], new RegExp(`form-action 'self' http://127\\.0\\.0\\.1:${listener.port};`));
+
+  // Submit the hidden form the way the browser would
+  const field = name => response.body
+    .match(new RegExp(`name="${name}" value="([^"]*)"`))[1]
+    .replace(/&quot;/g, '"')
+    .replace(/&amp;/g, '&');
+
+  const wrongNonce = await fetch(`http://127.0.0.1:${listener.port}/callback`, {
+    method: 'POST',
+    body: new URLSearchParams({ nonce: createLoopbackNonce(), payload: field('payload') })
+  });
+  assert.equal(wrongNonce.status, 400);
+
+  const delivery = await fetch(`http://127.0.0.1:${listener.port}/callback`, {
+    method: 'POST',
+    body: new URLSearchParams({ nonce: field('nonce'), payload: field('payload') })
+  });
+  assert.equal(delivery.status, 200);
+
+  const payload = await listener.result;
+  assert.equal(payload.access_token, 'xoxp-1-abc');
+  assert.equal(payload.user_id, 'U1');
+});
@@ -0,0 +1,403 @@
+import { test, describe, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import { UserTokenGenerator } from '../server.js';
+import { OAuthCore } from '../lib/oauth-core.js';
+import { MemoryStateStore } from '../lib/state-store.js';
+import { createVercelHandler } from '../lib/adapters/vercel.js';
+import { Logger } from '../lib/logger.js';
+import { originalFetch, restoreFetch } from './helpers.js';
+
+const coreOptions = () => ({
+  clientId: 'client-id',
+  clientSecret: 'client-secret',
+  redirectUri: 'https://example.com/auth/callback',
+  stateStore: new MemoryStateStore(),
+  logger: new Logger({ level: 'silent' }),
+  // Every request comes from 127.0.0.1; the limits have their own tests
+  rateLimiter: null,
+  corsOrigins: ['https://app.example.com'],
+  env: {}
+});
+
+const tokenResponse = {
+  ok: true,
+  team: { id: 'T1', name: 'Acme' },
+  authed_user: { id: 'U1', name: 'ada', scope: 'users:read,search:read', access_token: 'xoxp-1-routes' }
+};
+
+// Stub slack.com only; requests to the local Express server go through
+function stubSlack(respond) {
+  globalThis.fetch = async (url, init) => {
+    if (!String(url).startsWith('https://slack.com/')) return originalFetch(url, init);
+    return respond(String(url), init);
+  };
+}
+
+function slackJson(body, status = 200) {
+  return () => new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+// Each adapter exposes request(method, path, query, headers) -> { status, headers (lower-case), body } and its core
+const adapters = {
+  express: () => {
+    const generator = new UserTokenGenerator({ port: 0, ...coreOptions() });
+    let server;
+    let baseUrl;
+
+    return {
+      core: generator.core,
+      async setup() {
+        server = await new Promise((resolve) => {
+          const listener = generator.app.listen(0, '127.0.0.1', () => resolve(listener));
+        });
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+      },
+      teardown() {
+        clearInterval(generator.cleanupTimer);
+        server.close();
+        server.closeAllConnections();
+      },
+      async request(method, path, query = {}, headers = {}) {
+        const url = new URL(path, baseUrl);
+        for (const [name, value] of Object.entries(query)) url.searchParams.set(name, value);
+        const response = await fetch(url, { method, headers, redirect: 'manual' });
+        return {
+          status: response.status,
+          headers: Object.fromEntries(response.headers),
+          body: await response.text()
+        };
+      }
+    };
+  },
+
+  vercel: () => {
+    const core = new OAuthCore({ ...coreOptions(), environment: 'vercel' });
+    const handler = createVercelHandler(core);
+
+    return {
+      core,
+      setup() {},
+      teardown() {},
+      async request(method, path, query = {}, headers = {}) {
+        const search = new URLSearchParams(query).toString();
+        const res = {
+          statusCode: 200,
+          headers: {},
+          body: '',
+          setHeader(name, value) { this.headers[name.toLowerCase()] = value; },
+          status(code) { this.statusCode = code; return this; },
+          send(body) { this.body = body; return this; },
+          end() { return this; }
+        };
+        await handler({
+          method,
+          url: `/api${path}${search ? `?${search}` : ''}`,
+          headers: { host: 'tokens.example.com', 'x-forwarded-for': '203.0.113.9', ...headers },
+          body: {}
+        }, res);
+        return { status: res.statusCode, headers: res.headers, body: String(res.body) };
+      }
+    };
+  }
+};
+
+for (const [name, createAdapter] of Object.entries(adapters)) {
+  describe(`${name} adapter`, () => {
+    const adapter = createAdapter();
+    const { core } = adapter;
+    const request = (...args) => adapter.request(...args);
+    // A flow started by the browser: its state and the session cookie the state is bound to
+    const startFlow = async () => {
+      const start = await request('GET', '/auth/start', { user_id: 'emp-1', user_name: 'Ada', profile: 'search' });
+      return {
+        state: new URL(start.headers.location).searchParams.get('state'),
+        headers: { cookie: start.headers['set-cookie'].split(';')[0] }
+      };
+    };
+
+    before(() => adapter.setup());
+    after(() => adapter.teardown());
+    afterEach(restoreFetch);
+
+    test('GET / renders the home page with security headers', async () => {
+      const response = await request('GET', '/');
+      assert.equal(response.status, 200);
+      assert.match(response.headers['content-type'], /^text\/html/);
+      assert.equal(response.headers['x-frame-options'], 'DENY');
+      assert.ok(response.body.includes('action="/auth/start"'));
+    });
+
+    test('GET /auth/start stores a state and redirects to Slack', async () => {
+      const response = await request('GET', '/auth/start', { profile: 'search', user_name: 'Ada' });
+      assert.equal(response.status, 302);
+
+      const location = new URL(response.headers.location);
+      assert.equal(location.origin + location.pathname, 'https://slack.com/oauth/v2/authorize');
+      assert.equal(location.searchParams.get('client_id'), 'client-id');
+      assert.equal(location.searchParams.get('user_scope'), 'channels:read,search:read,users:read');
+      assert.equal(location.searchParams.get('redirect_uri'), 'https://example.com/auth/callback');
+
+      const stateData = await core.stateStore.get(location.searchParams.get('state'));
+      assert.equal(stateData.user_name, 'Ada');
+      assert.equal(stateData.profile, 'search');
+    });
+
+    test('GET /auth/start rejects unknown profiles', async () => {
+      const response = await request('GET', '/auth/start', { profile: 'everything' });
+      assert.equal(response.status, 400);
+      assert.ok(response.body.includes('Unknown scope profile'));
+    });
+
+    test('callback: a Slack error parameter is shown', async () => {
+      const { state, headers } = await startFlow();
+      const response = await request('GET', '/auth/callback', { error: 'access_denied', state }, headers);
+      assert.equal(response.status, 400);
+      assert.ok(response.body.includes('OAuth Error: access_denied'));
+    });
+
+    test('callback: a missing code is rejected', async () => {
+      const { state, headers } = await startFlow();
+      const response = await request('GET', '/auth/callback', { state }, headers);
+      assert.equal(response.status, 400);
+      assert.ok(response.body.includes('Missing authorization code or state'));
+    });
+
+    test('callback: a missing state is rejected', async () => {
+      const response = await request('GET', '/auth/callback', { code: 'code' });
+      assert.equal(response.status, 400);
+      assert.ok(response.body.includes('Missing authorization code or state'));
+    });
+
+    test('callback: an unknown state is rejected without calling Slack', async () => {
+      let called = false;
+      stubSlack(() => { called = true; });
+
+      const response = await request('GET', '/auth/callback', { code: 'code', state: 'forged' });
+      assert.equal(response.status, 400);
+      assert.ok(response.body.includes('Invalid or expired state parameter'));
+      assert.equal(called, false);
+    });
+
+    test('callback: an HTTP failure from Slack is reported', async () => {
+      stubSlack(() => new Response('Bad Gateway', { status: 502 }));
+
+      const { state, headers } = await startFlow();
+      const response = await request('GET', '/auth/callback', { code: 'code', state }, headers);
+      assert.equal(response.status, 500);
+      assert.ok(response.body.includes('Token exchange failed: HTTP error! status: 502 - Bad Gateway'));
+    });
+
+    test('callback: ok:false from Slack is reported', async () => {
+      stubSlack(slackJson({ ok: false, error: 'invalid_code' }));
+
+      const { state, headers } = await startFlow();
+      const response = await request('GET', '/auth/callback', { code: 'code', state }, headers);
+      assert.equal(response.status, 500);
+      assert.ok(response.body.includes('Token exchange failed: OAuth exchange failed: invalid_code'));
+    });
+
+    test('callback: a response without a user token is reported', async () => {
+      stubSlack(slackJson({ ok: true, team: { id: 'T1' } }));
+
+      const { state, headers } = await startFlow();
+      const response = await request('GET', '/auth/callback', { code: 'code', state }, headers);
+      assert.equal(response.status, 500);
+      assert.ok(response.body.includes('Invalid token data received from Slack'));
+    });
+
+    test('callback: success shows the token once and the state cannot be reused', async () => {
+      const { state, headers } = await startFlow();
+      stubSlack(slackJson(tokenResponse));
+
+      const response = await request('GET', '/auth/callback', { code: 'code', state }, headers);
+      assert.equal(response.status, 200);
+      assert.ok(response.body.includes('xoxp-1-routes'));
+      assert.ok(response.body.includes('Acme'));
+
+      const replay = await request('GET', '/auth/callback', { code: 'code', state }, headers);
+      assert.equal(replay.status, 400);
+      assert.ok(replay.body.includes('Invalid or expired state parameter'));
+    });
+
+    test('GET /auth/start binds the state to an HttpOnly, SameSite=Lax session cookie', async () => {
+      const start = await request('GET', '/auth/start', { profile: 'search' });
+      const attributes = start.headers['set-cookie'].split('; ');
+
+      assert.match(attributes[0], /^slack_oauth_session=[\w-]+\.[\w-]+$/);
+      assert.ok(attributes.includes('HttpOnly'));
+      assert.ok(attributes.includes('SameSite=Lax'));
+      assert.ok(attributes.includes('Secure'));
+      assert.ok(attributes.includes('Path=/'));
+      assert.ok(attributes.includes('Max-Age=600'));
+
+      // The same browser keeps its session, so flows in several tabs all stay valid
+      const again = await request('GET', '/auth/start', { profile: 'search' }, { cookie: attributes[0] });
+      assert.equal(again.headers['set-cookie'].split('; ')[0], attributes[0]);
+    });
+
+    test('callback: a state from another browser is rejected and used up', async () => {
+      let called = false;
+      stubSlack(() => { called = true; });
+
+      const { state, headers } = await startFlow();
+      const other = await startFlow();
+
+      for (const foreignHeaders of [{}, other.headers, { cookie: `${headers.cookie}x` }]) {
+        const { state: victimState } = await startFlow();
+        const response = await request('GET', '/auth/callback', { code: 'code', state: victimState }, foreignHeaders);
+        assert.equal(response.status, 403);
+        assert.ok(response.body.includes('started in a different browser'));
+      }
+
+      const mismatched = await request('GET', '/auth/callback', { code: 'code', state }, other.headers);
+      assert.equal(mismatched.status, 403);
+      const retry = await request('GET', '/auth/callback', { code: 'code', state }, headers);
+      assert.equal(retry.status, 400);
+      assert.ok(retry.body.includes('works only once'));
+      assert.equal(called, false);
+    });
+
+    test('callback: a failed callback uses the state up', async () => {
+      stubSlack(slackJson({ ok: false, error: 'invalid_code' }));
+
+      const { state, headers } = await startFlow();
+      assert.equal((await request('GET', '/auth/callback', { code: 'code', state }, headers)).status, 500);
+
+      stubSlack(slackJson(tokenResponse));
+      const retry = await request('GET', '/auth/callback', { code: 'code', state }, headers);
+      assert.equal(retry.status, 400);
+      assert.ok(retry.body.includes('Invalid or expired state parameter'));
+    });
+
+    test('pages get a nonce CSP and the security headers', async () => {
+      const first = await request('GET', '/');
+      const second = await request('GET', '/');
+      const csp = first.headers['content-security-policy'];
+      const nonce = csp.match(/script-src 'nonce-([^']+)'/)[1];
+
+      assert.ok(first.body.includes(`<script nonce="${nonce}">`));
+      assert.ok(!first.body.includes('onclick'));
+      assert.notEqual(second.headers['content-security-policy'], csp);
+      assert.match(csp, /form-action 'self' https:\/\/slack\.com;/);
+      assert.match(csp, /frame-ancestors 'none'/);
+      assert.equal(first.headers['referrer-policy'], 'no-referrer');
+      assert.equal(first.headers['cache-control'], 'no-store');
+      assert.equal(first.headers['strict-transport-security'], 'max-age=31536000');
+      assert.equal(first.headers['x-xss-protection'], undefined);
+    });
+
+    test('CORS headers are only sent to allowed origins', async () => {
+      const allowed = await request('OPTIONS', '/token/inspect', {}, { origin: 'https://app.example.com' });
+      assert.equal(allowed.status, 204);
+      assert.equal(allowed.headers['access-control-allow-origin'], 'https://app.example.com');
+      assert.equal(allowed.headers['access-control-allow-methods'], 'GET, POST');
+
+      const other = await request('GET', '/health', {}, { origin: 'https://evil.example' });
+      assert.equal(other.headers['access-control-allow-origin'], undefined);
+      assert.equal(other.headers.vary, 'Origin');
+
+      assert.equal((await request('OPTIONS', '/nope')).status, 404);
+    });
+
+    test('GET /health and unknown paths return JSON', async () => {
+      const health = await request('GET', '/health');
+      assert.equal(health.status, 200);
+      assert.equal(JSON.parse(health.body).environment, name);
+
+      const missing = await request('GET', '/nope');
+      assert.equal(missing.status, 404);
+      assert.deepEqual(JSON.parse(missing.body), { error: 'Not found', path: '/nope' });
+    });
+
+    test('HEAD is answered by the GET route, without a body', async () => {
+      const health = await request('HEAD', '/health');
+      assert.equal(health.status, 200);
+      assert.match(health.headers['content-type'], /^application\/json/);
+      assert.equal(health.body, '');
+
+      const home = await request('HEAD', '/');
+      assert.equal(home.status, 200);
+      assert.match(home.headers['content-type'], /^text\/html/);
+      assert.equal(home.body, '');
+
+      assert.equal((await request('HEAD', '/nope')).status, 404);
+      assert.equal((await request('POST', '/health')).status, 404);
+    });
+  });
+}
+
+test('the Vercel handler answers CORS preflights and strips the /api prefix', async () => {
+  const handler = createVercelHandler(new OAuthCore(coreOptions()));
+  const res = {
+    headers: {},
+    setHeader(name, value) { this.headers[name] = value; },
+    status(code) { this.statusCode = code; return this; },
+    send(body) { this.body = body; return this; },
+    end() { return this; }
+  };
+
+  await handler({ method: 'OPTIONS', url: '/api/auth/start', headers: { host: 'tokens.example.com', origin: 'https://app.example.com' } }, res);
+  assert.equal(res.statusCode, 204);
+  assert.equal(res.headers['Access-Control-Allow-Origin'], 'https://app.example.com');
+
+  await handler({ method: 'GET', url: '/api', headers: { host: 'tokens.example.com' } }, res);
+  assert.equal(res.statusCode, 200);
+  assert.ok(res.body.includes('action="/auth/start"'));
+});
+
+test('a misconfigured Vercel deployment answers 500 and logs the problems', async () => {
+  // An unknown STATE_STORE used to crash the import itself
+  process.env.STATE_STORE = 'redis';
+  let handler;
+  try {
+    ({ default: handler } = await import('../api/index.js'));
+  } finally {
+    delete process.env.STATE_STORE;
+  }
+
+  const logged = [];
+  const originalWrite = process.stderr.write;
+  process.stderr.write = (line) => logged.push(JSON.parse(line));
+  const res = {
+    headers: {},
+    setHeader(name, value) { this.headers[name] = value; },
+    status(code) { this.statusCode = code; return this; },
+    send(body) { this.body = body; return this; }
+  };
+  try {
+    await handler({ method: 'GET', url: '/api/auth/start', headers: { host: 'tokens.example.com' } }, res);
+  } finally {
+    process.stderr.write = originalWrite;
+  }
+
+  assert.equal(res.statusCode, 500);
+  assert.equal(res.body, 'Internal server error');
+  assert.equal(logged[0].msg, 'Invalid configuration');
+  assert.ok(logged[0].problems.some(problem => problem.includes('STATE_STORE')));
+});
+
+test('a bad LOG_LEVEL is reported like any other problem instead of failing the import', async () => {
+  // The shared logger is created when lib/logger.js loads, so this needs a fresh process
+  const script = `
+    const { default: handler } = await import('./api/index.js');
+    const res = {
+      setHeader() {},
+      status(code) { this.statusCode = code; return this; },
+      send(body) { this.body = body; return this; }
+    };
+    await handler({ method: 'GET', url: '/api', headers: { host: 'tokens.example.com' } }, res);
+    console.log(JSON.stringify({ status: res.statusCode, body: res.body }));
+  `;
+  const { stdout, stderr } = await promisify(execFile)(process.execPath, ['--input-type=module', '-e', script], {
+    cwd: new URL('..', import.meta.url),
+    env: { PATH: process.env.PATH, LOG_LEVEL: 'verbose' },
+    timeout: 10000
+  });
+
+  assert.deepEqual(JSON.parse(stdout), { status: 500, body: 'Internal server error' });
+  const logged = JSON.parse(stderr.trim().split('\n')[0]);
+  assert.equal(logged.msg, 'Invalid configuration');
+  assert.ok(logged.problems.some(problem => problem.includes('LOG_LEVEL must be one of')));
+});
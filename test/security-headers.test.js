@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { contentSecurityPolicy, createCspNonce, parseCorsOrigins, corsHeaders } from '../lib/security-headers.js';
+
+test('the CSP only runs scripts carrying the nonce', () => {
+  const nonce = createCspNonce();
+  assert.notEqual(createCspNonce(), nonce);
+
+  const csp = contentSecurityPolicy(nonce, { formActions: ['https://slack.com'] });
+  assert.ok(csp.startsWith(`default-src 'none'; script-src 'nonce-${nonce}';`));
+  assert.ok(csp.includes(`form-action 'self' https://slack.com;`));
+  assert.ok(!csp.includes('unsafe-eval'));
+  assert.ok(contentSecurityPolicy(nonce).includes(`form-action 'self';`));
+});
+
+test('CORS_ALLOWED_ORIGINS is a comma-separated list of origins', () => {
+  assert.deepEqual(parseCorsOrigins({}), []);
+  assert.deepEqual(
+    parseCorsOrigins({ CORS_ALLOWED_ORIGINS: 'https://app.example.com, http://localhost:5173' }),
+    ['https://app.example.com', 'http://localhost:5173']
+  );
+  assert.throws(() => parseCorsOrigins({ CORS_ALLOWED_ORIGINS: '*' }), /CORS_ALLOWED_ORIGINS/);
+  assert.throws(() => parseCorsOrigins({ CORS_ALLOWED_ORIGINS: 'https://app.example.com/' }), /got "https:\/\/app\.example\.com\/"/);
+});
+
+test('CORS headers are only sent for allowed origins', () => {
+  assert.deepEqual(corsHeaders([], 'https://app.example.com'), {});
+  assert.deepEqual(corsHeaders(['https://app.example.com'], 'https://evil.example'), { Vary: 'Origin' });
+  assert.equal(corsHeaders(['https://app.example.com'], 'https://app.example.com')['Access-Control-Allow-Origin'], 'https://app.example.com');
+});
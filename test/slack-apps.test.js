@@ -0,0 +1,135 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadSlackApps } from '../lib/slack-apps.js';
+import { loadScopeProfiles } from '../lib/scope-profiles.js';
+import { createCore, request, stubSlack, restoreFetch } from './helpers.js';
+
+afterEach(restoreFetch);
+
+const scopeProfiles = loadScopeProfiles({});
+
+const SLACK_APPS = JSON.stringify({
+  acme: {
+    clientId: 'acme-client',
+    clientSecret: 'acme-secret',
+    redirectUri: 'https://acme.example.com/auth/callback',
+    profile: 'search',
+    name: 'Acme Tokens',
+    color: '#1264a3'
+  },
+  beta: { clientId: 'beta-client', clientSecret: 'beta-secret', redirectUri: 'https://beta.example.com/auth/callback' }
+});
+
+function createAppsCore() {
+  return createCore({
+    clientId: 'default-client',
+    clientSecret: 'default-secret',
+    redirectUri: 'https://tokens.example.com/auth/callback',
+    rateLimiter: null,
+    env: { SLACK_APPS }
+  });
+}
+
+test('apps are loaded from SLACK_APPS with defaults filled in', () => {
+  const apps = loadSlackApps({ SLACK_APPS }, { scopeProfiles });
+  assert.deepEqual(Object.keys(apps), ['acme', 'beta']);
+  assert.equal(apps.acme.name, 'Acme Tokens');
+  assert.deepEqual(apps.beta, {
+    key: 'beta',
+    name: 'beta',
+    clientId: 'beta-client',
+    clientSecret: 'beta-secret',
+    redirectUri: 'https://beta.example.com/auth/callback',
+    profile: null,
+    color: null
+  });
+
+  assert.deepEqual(loadSlackApps({}, { scopeProfiles }), {});
+  assert.deepEqual(loadSlackApps({ SLACK_APPS: JSON.stringify({ pkce: { clientId: '1.2', redirectUri: 'http://localhost:3000/auth/callback' } }) }, { scopeProfiles, usePkce: true }).pkce.clientSecret, null);
+});
+
+test('invalid apps are rejected with every problem listed', () => {
+  assert.throws(() => loadSlackApps({ SLACK_APPS: '[1]' }, { scopeProfiles }), /must be a JSON object of apps by key/);
+  assert.throws(() => loadSlackApps({ SLACK_APPS: '{' }, { scopeProfiles }), /SLACK_APPS is not valid JSON/);
+
+  let error;
+  try {
+    loadSlackApps({ SLACK_APPS: JSON.stringify({ '../x': {}, acme: { clientId: '1.2', redirectUri: 'http://acme.example.com/auth/callback', name: ' ' } }) }, { scopeProfiles });
+  } catch (caught) {
+    error = caught;
+  }
+  assert.deepEqual(error.problems, [
+    'SLACK_APPS key "../x" must be 1-32 lower-case letters, digits and dashes',
+    'SLACK_APPS.acme.clientSecret is not set (or enable SLACK_USE_PKCE)',
+    'SLACK_APPS.acme.redirectUri must use https (http is only allowed for localhost)',
+    'SLACK_APPS.acme.name must be a non-empty string'
+  ]);
+});
+
+test('/apps/:app shows a branded home page that starts the app\'s flow', async () => {
+  const core = createAppsCore();
+  const home = await request(core, 'GET', '/apps/acme');
+
+  assert.equal(home.status, 200);
+  assert.ok(home.body.includes('<title>Acme Tokens Token Generator</title>'));
+  assert.ok(home.body.includes('.button, .button:hover { background: #1264a3; }'));
+  assert.ok(home.body.includes('action="/auth/start/acme"'));
+  assert.ok(home.body.includes('<option value="search"'));
+  assert.ok(!home.body.includes('<option value="mcp-full"'));
+
+  assert.equal((await request(core, 'GET', '/apps/nope')).status, 404);
+  assert.ok((await request(core, 'GET', '/')).body.includes('action="/auth/start"'));
+});
+
+test('a flow started at /auth/start/:app uses that app\'s credentials throughout', async () => {
+  const core = createAppsCore();
+  const start = await request(core, 'GET', '/auth/start/acme');
+  assert.equal(start.status, 302);
+
+  const authorize = new URL(start.headers.Location);
+  assert.equal(authorize.searchParams.get('client_id'), 'acme-client');
+  assert.equal(authorize.searchParams.get('redirect_uri'), 'https://acme.example.com/auth/callback');
+  assert.equal(authorize.searchParams.get('user_scope'), 'channels:read,search:read,users:read');
+
+  const calls = stubSlack({
+    ok: true,
+    team: { id: 'T1', name: 'Acme' },
+    authed_user: { id: 'U1', scope: 'channels:read,search:read,users:read', access_token: 'xoxp-1-app' }
+  });
+  const callback = await request(core, 'GET', '/auth/callback', {
+    query: { code: 'code', state: authorize.searchParams.get('state') },
+    headers: { cookie: start.headers['Set-Cookie'].split(';')[0] }
+  });
+
+  assert.equal(callback.status, 200);
+  assert.ok(callback.body.includes('xoxp-1-app'));
+  assert.ok(callback.body.includes('Acme Tokens'));
+  assert.equal(calls[0].form.client_id, 'acme-client');
+  assert.equal(calls[0].form.client_secret, 'acme-secret');
+  assert.equal(calls[0].form.redirect_uri, 'https://acme.example.com/auth/callback');
+});
+
+test('unknown apps and profiles an app does not offer are refused', async () => {
+  const core = createAppsCore();
+
+  assert.equal((await request(core, 'GET', '/auth/start/nope')).status, 404);
+
+  const other = await request(core, 'GET', '/auth/start/acme', { query: { profile: 'mcp-full' } });
+  assert.equal(other.status, 400);
+  assert.ok(other.body.includes('Acme Tokens only issues tokens with the &quot;search&quot; profile'));
+
+  // An app without a profile offers all of them
+  assert.equal((await request(core, 'GET', '/auth/start/beta', { query: { profile: 'mcp-full' } })).status, 302);
+});
+
+test('tokens of an app are refreshed with its credentials', async () => {
+  const core = createAppsCore();
+  const calls = stubSlack({ ok: true, access_token: 'xoxe.xoxp-2', refresh_token: 'xoxe-2', expires_in: 43200 });
+
+  const refreshed = await request(core, 'POST', '/auth/refresh', { body: { refresh_token: 'xoxe-1', app: 'beta' } });
+  assert.equal(refreshed.status, 200);
+  assert.equal(calls[0].form.client_id, 'beta-client');
+
+  const unknown = await request(core, 'POST', '/auth/refresh', { body: { refresh_token: 'xoxe-1', app: 'nope' } });
+  assert.deepEqual(JSON.parse(unknown.body), { ok: false, error: 'unknown_app' });
+});
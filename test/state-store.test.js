@@ -0,0 +1,128 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  MemoryStateStore,
+  FileStateStore,
+  SignedStateStore,
+  createStateStore
+} from '../lib/state-store.js';
+import { createCore } from './helpers.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function tempFile() {
+  return path.join(await fs.mkdtemp(path.join(os.tmpdir(), 'states-')), 'states.json');
+}
+
+const stores = {
+  memory: async ttl => new MemoryStateStore({ ttl }),
+  file: async ttl => new FileStateStore({ file: await tempFile(), ttl }),
+  signed: async ttl => new SignedStateStore({ secret: 'test-secret', ttl })
+};
+
+for (const [name, createStore] of Object.entries(stores)) {
+  test(`${name} store: created states carry their data`, async () => {
+    const store = await createStore(60_000);
+    const state = await store.create({ user_id: 'emp-1', profile: 'search' });
+
+    assert.equal(typeof state, 'string');
+    const data = await store.get(state);
+    assert.equal(data.user_id, 'emp-1');
+    assert.equal(data.profile, 'search');
+    assert.equal(typeof data.timestamp, 'number');
+
+    assert.notEqual(await store.create({}), state);
+    assert.equal(await store.get('not-a-state'), null);
+    assert.equal(await store.get(undefined), null);
+  });
+
+  test(`${name} store: a state can be consumed only once`, async () => {
+    const store = await createStore(60_000);
+    const state = await store.create({ profile: 'search' });
+
+    const [first, second] = await Promise.all([store.consume(state), store.consume(state)]);
+    assert.equal(first.profile, 'search');
+    assert.equal(second, null);
+    assert.equal(await store.get(state), null);
+    assert.equal(await store.consume('not-a-state'), null);
+  });
+
+  test(`${name} store: expired states are rejected`, async () => {
+    const store = await createStore(1);
+    const state = await store.create({ profile: 'search' });
+    await sleep(5);
+
+    assert.equal(await store.get(state), null);
+  });
+}
+
+for (const name of ['memory', 'file']) {
+  test(`${name} store: deleted states can't be reused`, async () => {
+    const store = await stores[name](60_000);
+    const state = await store.create({ profile: 'search' });
+
+    await store.delete(state);
+    assert.equal(await store.get(state), null);
+  });
+
+  test(`${name} store: cleanup removes only expired states`, async () => {
+    const store = await stores[name](20);
+    await store.create({ profile: 'old' });
+    await sleep(30);
+    const fresh = await store.create({ profile: 'new' });
+
+    assert.equal(await store.cleanup(), 1);
+    assert.equal(await store.size(), 1);
+    assert.equal((await store.get(fresh)).profile, 'new');
+    assert.equal(await store.cleanup(), 0);
+  });
+}
+
+test('file store: states survive a new store instance', async () => {
+  const file = await tempFile();
+  const state = await new FileStateStore({ file }).create({ profile: 'search' });
+
+  assert.equal((await new FileStateStore({ file }).get(state)).profile, 'search');
+});
+
+test('signed store: tampered or foreign states are rejected', async () => {
+  const store = new SignedStateStore({ secret: 'test-secret' });
+  const state = await store.create({ code_verifier: 'secret-verifier' });
+  const [payload, signature] = state.split('.');
+
+  assert.ok(!Buffer.from(payload, 'base64url').toString('utf8').includes('secret-verifier'));
+  assert.equal(await store.get(`${payload}x.${signature}`), null);
+  assert.equal(await store.get(`${payload}.${signature}.extra`), null);
+  assert.equal(await new SignedStateStore({ secret: 'other-secret' }).get(state), null);
+});
+
+test('signed store: consumed nonces are forgotten once their state has expired', async () => {
+  const store = new SignedStateStore({ secret: 'test-secret', ttl: 20 });
+  await store.consume(await store.create({}));
+  assert.equal(store.consumed.size, 1);
+
+  await sleep(30);
+  await store.cleanup();
+  assert.equal(store.consumed.size, 0);
+});
+
+test('createStateStore picks the backend from the environment', () => {
+  assert.ok(createStateStore({}) instanceof MemoryStateStore);
+  assert.ok(createStateStore({ STATE_SECRET: 'secret' }) instanceof SignedStateStore);
+  assert.ok(createStateStore({ STATE_STORE: 'file', STATE_STORE_FILE: path.join(os.tmpdir(), 'x.json') }) instanceof FileStateStore);
+  assert.throws(() => createStateStore({ STATE_STORE: 'redis' }), /Unknown STATE_STORE/);
+  assert.throws(() => createStateStore({ STATE_TTL_SECONDS: 'soon' }), /STATE_TTL_SECONDS/);
+});
+
+test('cleanupStates reports how many expired states were removed', async () => {
+  const core = createCore({ stateStore: new MemoryStateStore({ ttl: 1 }) });
+  await core.stateStore.create({});
+  await core.stateStore.create({});
+  await sleep(5);
+
+  assert.equal(await core.cleanupStates(), 2);
+  assert.equal(await core.stateStore.size(), 0);
+});
@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { html, raw, escapeHtml } from '../lib/templates.js';
+
+test('escapeHtml escapes markup and quote characters', () => {
+  assert.equal(escapeHtml('<a href="x" onclick=\'y\'>&`</a>'), '&lt;a href=&quot;x&quot; onclick=&#39;y&#39;&gt;&amp;&#96;&lt;/a&gt;');
+});
+
+test('html escapes interpolated values', () => {
+  const name = '<script>alert(1)</script>';
+  assert.equal(String(html`<p>${name}</p>`), '<p>&lt;script&gt;alert(1)&lt;/script&gt;</p>');
+});
+
+test('html keeps nested templates and raw() markup unescaped', () => {
+  const inner = html`<b>${'<i>'}</b>`;
+  assert.equal(String(html`<p>${inner}${raw('<br>')}</p>`), '<p><b>&lt;i&gt;</b><br></p>');
+});
+
+test('html renders arrays item by item and skips empty values', () => {
+  const items = ['a', '<b>'].map(item => html`<li>${item}</li>`);
+  assert.equal(String(html`<ul>${items}${null}${undefined}${false}</ul>`), '<ul><li>a</li><li>&lt;b&gt;</li></ul>');
+  assert.equal(String(html`${0}`), '0');
+});